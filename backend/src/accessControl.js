@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { TokenBucketLimiter, ConcurrencyLimiter } = require('./rateLimit');
+const { UnauthorizedError, ForbiddenError, RateLimitError, sendError } = require('./errors');
+
+// API keys and throttling middleware
+// Clients send their API key in the X-Api-Key header. Keys are optional
+// unless requireApiKey is set: requests without one are limited per IP
+// address, requests with a configured key per key (with the key's own quota
+// when it has one), and unknown keys are rejected. Rejected requests get the
+// usual error body ({ success: false, error, code, details }) with a 401 or
+// 429 status; every rate-limited response carries RateLimit-* headers.
+// Operator endpoints additionally need one of the keys named in adminKeys,
+// even when keys are otherwise optional. Browsers can't set headers on an
+// EventSource, so the paths in queryKeyPaths also take the key as ?apiKey=.
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function createAccessControl({ apiKeys = [], adminKeys = [], requireApiKey = false, rateLimit = {}, scrapeConcurrency = {}, queryKeyPaths = [] } = {}) {
+  // Keys are looked up by hash so the lookup doesn't leak them through timing
+  const keysByHash = new Map(apiKeys.map(apiKey => [hashKey(apiKey.key), apiKey]));
+  const requests = new TokenBucketLimiter({ perMinute: rateLimit.perMinute, burst: rateLimit.burst });
+  const scrapes = new ConcurrencyLimiter(scrapeConcurrency);
+
+  // Identify the caller as req.client = { id, apiKey }
+  function authenticate(req, res, next) {
+    let key = req.get('X-Api-Key');
+    if (!key && queryKeyPaths.includes(req.baseUrl + req.path) && typeof req.query.apiKey === 'string') {
+      key = req.query.apiKey;
+    }
+
+    if (key) {
+      const apiKey = keysByHash.get(hashKey(key));
+      if (!apiKey) {
+        return sendError(res, new UnauthorizedError('Invalid API key'), 'authenticating request');
+      }
+      req.client = { id: `key:${apiKey.name}`, apiKey };
+    } else if (requireApiKey) {
+      return sendError(res, new UnauthorizedError('API key required: send it in the X-Api-Key header'), 'authenticating request');
+    } else {
+      req.client = { id: `ip:${req.ip}`, apiKey: null };
+    }
+    next();
+  }
+
+  // Only let operators through: a request with an admin key, after authenticate
+  function requireAdmin(req, res, next) {
+    const { apiKey } = req.client;
+    if (!apiKey) {
+      return sendError(res, new UnauthorizedError('Admin API key required: send it in the X-Api-Key header'), 'authorizing request');
+    }
+    if (!adminKeys.includes(apiKey.name)) {
+      return sendError(res, new ForbiddenError(`API key "${apiKey.name}" is not an admin key`), 'authorizing request');
+    }
+    next();
+  }
+
+  // One token per request from the client's bucket
+  function limitRequests(req, res, next) {
+    if (!rateLimit.enabled) {
+      return next();
+    }
+
+    // Keys with their own quota may spend a minute's worth of requests at once
+    const { apiKey } = req.client;
+    const quota = apiKey
+      ? { perMinute: apiKey.perMinute || rateLimit.keyPerMinute, burst: apiKey.perMinute || rateLimit.keyBurst }
+      : {};
+    const state = requests.take(req.client.id, quota);
+
+    res.set({
+      'RateLimit-Limit': String(state.limit),
+      'RateLimit-Remaining': String(state.remaining),
+      'RateLimit-Reset': String(state.resetSeconds)
+    });
+
+    if (!state.allowed) {
+      res.set('Retry-After', String(state.retryAfterSeconds));
+      return sendError(res, new RateLimitError(`Rate limit exceeded, retry in ${state.retryAfterSeconds}s`, {
+        scope: 'requests',
+        limit: state.limit,
+        retryAfter: state.retryAfterSeconds
+      }), 'rate limiting request');
+    }
+    next();
+  }
+
+  // Cap the scrape-heavy requests a client (and the whole server) runs at once
+  function limitScrapes(req, res, next) {
+    if (!scrapeConcurrency.enabled) {
+      return next();
+    }
+
+    const perClient = req.client.apiKey?.maxConcurrentScrapes || scrapes.perClient;
+    const release = scrapes.tryAcquire(req.client.id, { perClient });
+
+    if (!release) {
+      res.set('Retry-After', '1');
+      return sendError(res, new RateLimitError('Too many scrapes in progress, retry when one finishes', {
+        scope: 'scrapes',
+        limit: Math.min(perClient, scrapes.total),
+        retryAfter: 1
+      }), 'rate limiting request');
+    }
+
+    // Hold the slot until the route ends its response. Routes only do that
+    // once their scrape has settled, even when the client disconnected first
+    // (e.g. from a stream), so dropped connections can't free slots while
+    // their scrapes keep running.
+    const end = res.end;
+    res.end = function (...args) {
+      release();
+      return end.apply(this, args);
+    };
+    next();
+  }
+
+  return {
+    authenticate,
+    requireAdmin,
+    limitRequests,
+    limitScrapes
+  };
+}
+
+module.exports = { createAccessControl };
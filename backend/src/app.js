@@ -0,0 +1,1927 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const QuoteScraper = require('./scraper');
+const { BulkQuoteRequestSchema, RandomQuoteRequestSchema, CacheRefreshRequestSchema, ChangesQuerySchema, JobRequestSchema, JobSchema, JobResultsQuerySchema, QuoteExportQuerySchema, QuoteResponseSchema, QuoteSearchQuerySchema, TagParamsSchema, AuthorParamsSchema, TagQuotesQuerySchema, PaginatedQuotesQuerySchema } = require('./schemas');
+const { decodeCursor } = require('./pagination');
+const { isQuoteId } = require('./quoteId');
+const { ValidationError, NotFoundError, ScraperUnavailableError, toApiError, partialResult, sendError } = require('./errors');
+const { getSource, listSources } = require('./sources');
+const { createAccessControl } = require('./accessControl');
+const CacheStore = require('./cacheStore');
+const { JobQueue } = require('./jobQueue');
+const { runJob } = require('./jobs');
+const { EXPORT_FORMATS } = require('./exporters');
+const { ChangeLog } = require('./changeLog');
+const { RecrawlScheduler } = require('./recrawlScheduler');
+const config = require('./config');
+const swaggerJsDoc = require('swagger-jsdoc');
+const swaggerUi = require('swagger-ui-express');
+
+// Express app shared by both entrypoints
+// server.js (local and Render) and lambda.js (AWS Lambda) mount the app built
+// by createApp, so a route added here is served by both. Entrypoints inject
+// how the scraper is obtained; CORS, API keys, rate limits and feature flags
+// come from config.js unless overridden.
+
+// Swagger configuration
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Quote Fetcher API',
+      version: '1.0.0',
+      description: 'API for fetching quotes using Puppeteer',
+      contact: {
+        name: 'API Support'
+      },
+      servers: [{
+        url: 'http://localhost:5000'
+      }]
+    },
+    security: [{ ApiKeyAuth: [] }, {}]
+  },
+  apis: [path.join(__dirname, 'app.js')] // Path to the API docs
+};
+
+// Routes grouped by the feature flag that enables them (see config.features)
+const api = express.Router();
+const streaming = express.Router();
+const monitoring = express.Router();
+const cacheAdmin = express.Router();
+const jobs = express.Router();
+const changes = express.Router();
+
+const FEATURE_ROUTERS = { streaming, metrics: monitoring, cacheAdmin, jobs, changes };
+
+// The scraper for a request, started on demand by entrypoints that create it
+// lazily. Throws when it couldn't be started.
+async function requireScraper(req) {
+  const scraper = await req.app.locals.getScraper();
+  if (!scraper) {
+    throw new ScraperUnavailableError();
+  }
+  return scraper;
+}
+
+// Concurrency cap for routes that drive the scraper (see accessControl.js)
+function limitScrapes(req, res, next) {
+  req.app.locals.access.limitScrapes(req, res, next);
+}
+
+// Operator-only routes (see accessControl.js)
+function requireAdmin(req, res, next) {
+  req.app.locals.access.requireAdmin(req, res, next);
+}
+
+// Open a Server-Sent Events response. Writes after the client disconnects are dropped.
+function openEventStream(req, res) {
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  return {
+    send,
+    progress: (stage, message, detail = {}) => send('progress', { stage, message, ...detail, timestamp: new Date().toISOString() }),
+    end: () => res.end()
+  };
+}
+
+// Error bodies shared by every endpoint
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     ApiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Api-Key
+ *       description: Optional unless the server sets API_KEY_REQUIRED. Requests with a key are rate limited per key, others per IP address.
+ *     ApiKeyQuery:
+ *       type: apiKey
+ *       in: query
+ *       name: apiKey
+ *       description: The same key as a query parameter, for EventSource clients that can't send headers. Only accepted by GET /api/quotes/random/stream.
+ *   schemas:
+ *     Error:
+ *       type: object
+ *       description: |
+ *         Body of every failed request. `code` is one of VALIDATION_ERROR (400), UNAUTHORIZED (401),
+ *         FORBIDDEN (403), NOT_FOUND (404), RATE_LIMITED (429, see the Retry-After header), INTERNAL_ERROR (500),
+ *         UPSTREAM_ERROR (502, the quote site failed), SCRAPER_UNAVAILABLE (503) or UPSTREAM_TIMEOUT (504). Successful responses that are missing some pages carry
+ *         `code: PARTIAL_RESULT` with a `warning` and the failed pages in `details` instead.
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         error:
+ *           type: string
+ *         code:
+ *           type: string
+ *           enum: [VALIDATION_ERROR, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, RATE_LIMITED, INTERNAL_ERROR, UPSTREAM_ERROR, SCRAPER_UNAVAILABLE, UPSTREAM_TIMEOUT]
+ *         details:
+ *           description: Field errors ({ field, message, code }) for VALIDATION_ERROR, the failed page ({ source, page }) for upstream errors, the exceeded limit ({ scope, limit, retryAfter }) for RATE_LIMITED
+ *           oneOf:
+ *             - type: array
+ *               items:
+ *                 type: object
+ *             - type: object
+ */
+
+// Overall status for each scraper state
+const HEALTH_STATUS = {
+  starting: 'starting',
+  ready: 'healthy',
+  degraded: 'degraded',
+  failed: 'unhealthy'
+};
+
+// Health check endpoint
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Check API health status
+ *     description: Returns the health status of the API and the scraper's lifecycle state
+ *     responses:
+ *       200:
+ *         description: API is up; the scraper is starting, ready or degraded (relaunching its browser)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [starting, healthy, degraded, unhealthy]
+ *                   example: healthy
+ *                 timestamp:
+ *                   type: string
+ *                   example: 2023-01-01T00:00:00.000Z
+ *                 scraperReady:
+ *                   type: boolean
+ *                   example: true
+ *                 scraperState:
+ *                   type: string
+ *                   enum: [starting, ready, degraded, failed]
+ *                 browser:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Browser status (null in http mode)
+ *                   properties:
+ *                     connected:
+ *                       type: boolean
+ *                     relaunching:
+ *                       type: boolean
+ *                     crashes:
+ *                       type: integer
+ *                     relaunches:
+ *                       type: integer
+ *                     lastCrashAt:
+ *                       type: string
+ *                       nullable: true
+ *                 lastError:
+ *                   type: string
+ *                   nullable: true
+ *                 session:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Login session of the default source
+ *                   properties:
+ *                     state:
+ *                       type: string
+ *                       enum: [anonymous, logged-out, restored, logged-in, expired, failed, unsupported]
+ *                     loggedIn:
+ *                       type: boolean
+ *                     loggedInAt:
+ *                       type: string
+ *                       nullable: true
+ *                     verifiedAt:
+ *                       type: string
+ *                       nullable: true
+ *                     restoredFromDisk:
+ *                       type: boolean
+ *                     relogins:
+ *                       type: integer
+ *                 fixtures:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [record, replay]
+ *                   description: Set when pages are recorded to or replayed from QUOTES_FIXTURES
+ *       503:
+ *         description: The scraper failed to start or gave up relaunching its browser
+ */
+api.get('/health', (req, res) => {
+  const scraper = req.app.locals.peekScraper();
+  const health = scraper ? scraper.getHealth() : { state: 'starting', browser: null, lastError: null, session: null };
+  res.status(health.state === 'failed' ? 503 : 200).json({ 
+    status: HEALTH_STATUS[health.state], 
+    timestamp: new Date().toISOString(),
+    scraperReady: health.state === 'ready',
+    scraperState: health.state,
+    browser: health.browser,
+    lastError: health.lastError,
+    session: health.session,
+    fixtures: health.fixtures || null
+  });
+});
+
+// Get random quotes endpoint
+/**
+ * @swagger
+ * /api/quotes/random:
+ *   post:
+ *     summary: Get random quotes
+ *     description: Fetches random quotes from quotes.toscrape.com
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 description: Number of quotes to fetch
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ *               source:
+ *                 type: string
+ *                 description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *               seed:
+ *                 type: string
+ *                 description: Seed for the random selection; the same seed always returns the same quotes
+ *               sessionId:
+ *                 type: string
+ *                 description: Client-chosen session id; quotes don't repeat within a session until every quote has been served
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only quotes with these tags
+ *               tagMatch:
+ *                 type: string
+ *                 enum: [all, any]
+ *                 default: all
+ *                 description: Whether quotes need every tag or any of them
+ *               author:
+ *                 type: string
+ *                 description: Only quotes whose author contains this text (case-insensitive)
+ *               minLength:
+ *                 type: integer
+ *                 description: Minimum quote length in characters
+ *               maxLength:
+ *                 type: integer
+ *                 description: Maximum quote length in characters
+ *               excludeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Quote ids or source URLs to leave out, such as quotes already on screen
+ *               weight:
+ *                 type: string
+ *                 enum: [uniform, lessSeenAuthors, rareAuthors]
+ *                 default: uniform
+ *                 description: |
+ *                   How likely each matching quote is to be picked. lessSeenAuthors favours authors served least so far
+ *                   (within the session when sessionId is given); rareAuthors favours authors with few quotes.
+ *                   Filters or a non-uniform weight sample the whole scraped corpus, so the first such request loads every listing page.
+ *             example:
+ *               count: 6
+ *               tags: [love]
+ *               maxLength: 120
+ *               weight: lessSeenAuthors
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: Stable quote id, usable with GET /api/quotes/{id}
+ *                       text:
+ *                         type: string
+ *                       author:
+ *                         type: string
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       sourceUrl:
+ *                         type: string
+ *                       pageNumber:
+ *                         type: integer
+ *                       quoteIndex:
+ *                         type: integer
+ *                 count:
+ *                   type: integer
+ *                 seed:
+ *                   type: string
+ *                   description: Seed that picked these quotes (generated when none was given)
+ *                 matched:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Quotes in the corpus that passed the filters; null for unfiltered requests. Fewer quotes than count are returned when fewer match.
+ *                 session:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     cycle:
+ *                       type: integer
+ *                       description: Passes through the whole pool so far, starting at 1
+ *                     served:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
+ *                       nullable: true
+ *       400:
+ *         description: Invalid parameters (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.post('/api/quotes/random', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    // Validate request body
+    const { count = 1, source, seed, sessionId, weight, ...filters } = RandomQuoteRequestSchema.parse(req.body);
+    
+    console.log(`🎲 Fetching ${count} random quotes...`);
+    
+    const { quotes, seed: usedSeed, matched, session, failures } = await scraper.drawRandomQuotes(count, source, { seed, sessionId, filters, weight });
+    
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: quotes,
+      count: quotes.length
+    });
+
+    res.json({
+      ...response,
+      ...partialResult(failures),
+      seed: usedSeed,
+      matched,
+      session
+    });
+
+  } catch (error) {
+    sendError(res, error, 'fetching random quotes');
+  }
+});
+
+// Stream real scraper progress for a random quote fetch (Server-Sent Events)
+// Note: API Gateway buffers Lambda responses, so on Lambda the events arrive
+// together when the scrape finishes rather than one by one.
+/**
+ * @swagger
+ * /api/quotes/random/stream:
+ *   get:
+ *     summary: Get random quotes with live progress
+ *     description: |
+ *       Fetches random quotes like POST /api/quotes/random, streaming Server-Sent Events while the scraper works.
+ *       `progress` events carry `stage` (start, login, navigate, cache, extract, select, validate, done), a display `message`
+ *       and stage details such as the page number. The stream ends with a `result` event holding the usual response body,
+ *       or an `error` event.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - ApiKeyQuery: []
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Number of quotes to fetch
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: string
+ *         description: Seed for the random selection, as for POST /api/quotes/random
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: Session whose quotes shouldn't repeat, as for POST /api/quotes/random
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags, as for POST /api/quotes/random
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [all, any]
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minLength
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxLength
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: excludeIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated quote ids or source URLs to leave out
+ *       - in: query
+ *         name: weight
+ *         schema:
+ *           type: string
+ *           enum: [uniform, lessSeenAuthors, rareAuthors]
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+streaming.get('/api/quotes/random/stream', limitScrapes, async (req, res) => {
+  const stream = openEventStream(req, res);
+
+  try {
+    const scraper = await requireScraper(req);
+
+    const { count = 1, source, seed, sessionId, weight, ...filters } = RandomQuoteRequestSchema.parse({
+      ...req.query,
+      count: parseInt(req.query.count) || 1
+    });
+
+    const { quotes, seed: usedSeed, matched, session, failures } = await scraper.drawRandomQuotes(count, source, {
+      seed,
+      sessionId,
+      filters,
+      weight,
+      onProgress: event => stream.send('progress', event)
+    });
+
+    stream.progress('validate', `Validating ${quotes.length} ${quotes.length === 1 ? 'quote' : 'quotes'}...`, { count: quotes.length });
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: quotes,
+      count: quotes.length
+    });
+
+    stream.progress('done', 'Selected.');
+    stream.send('result', { ...response, ...partialResult(failures), seed: usedSeed, matched, session });
+
+  } catch (error) {
+    console.error('❌ Error streaming random quotes:', error);
+    stream.send('error', toApiError(error).toJSON());
+  } finally {
+    stream.end();
+  }
+});
+
+// Get all quotes endpoint
+/**
+ * @swagger
+ * /api/quotes/all:
+ *   get:
+ *     summary: Get all quotes
+ *     description: Fetches all quotes from quotes.toscrape.com
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Quote'
+ *                 count:
+ *                   type: integer
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/quotes/all', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    console.log('🌐 Fetching all quotes...');
+    const { quotes, failures } = await scraper.crawlAllQuotes(req.query.source);
+    
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: quotes,
+      count: quotes.length
+    });
+
+    res.json({
+      ...response,
+      ...partialResult(failures)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'fetching all quotes');
+  }
+});
+
+// List available quote sources
+/**
+ * @swagger
+ * /api/sources:
+ *   get:
+ *     summary: List quote sources
+ *     description: Returns the registered quote source adapters that requests can select with the source parameter
+ *     responses:
+ *       200:
+ *         description: Successful response
+ */
+api.get('/api/sources', (req, res) => {
+  res.json({
+    success: true,
+    data: listSources(),
+    default: config.sources.default
+  });
+});
+
+// Get scraper statistics
+/**
+ * @swagger
+ * /api/stats:
+ *   get:
+ *     summary: Get scraper statistics
+ *     description: Returns statistics about the scraper, including page fetch timings, cache hit rates and failure counters
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+monitoring.get('/api/stats', async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    const stats = scraper.getStats();
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    sendError(res, error, 'getting stats');
+  }
+});
+
+// Bulk fetch endpoint for multiple cells
+/**
+ * @swagger
+ * /api/quotes/bulk:
+ *   post:
+ *     summary: Bulk fetch quotes
+ *     description: Fetches multiple quotes in a single request
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 description: Number of quotes to fetch
+ *                 minimum: 1
+ *                 maximum: 100
+ *               source:
+ *                 type: string
+ *                 description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *             example:
+ *               count: 10
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       400:
+ *         description: Invalid parameters (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.post('/api/quotes/bulk', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    const { count, source } = BulkQuoteRequestSchema.parse(req.body);
+    
+    console.log(`📦 Bulk fetching ${count} quotes...`);
+    
+    // For bulk requests, use pagination to efficiently fetch quotes
+    const { quotes, failures } = await scraper.paginateQuotes({ offset: 0, limit: count, source });
+    
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: quotes,
+      count: quotes.length
+    });
+
+    res.json({
+      ...response,
+      ...partialResult(failures)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'in bulk fetch');
+  }
+});
+
+// Paginated quotes endpoint for scroll-based loading
+/**
+ * @swagger
+ * /api/quotes/paginated:
+ *   get:
+ *     summary: Get paginated quotes
+ *     description: Fetches quotes in listing order for infinite scrolling. Offsets follow the real number of quotes on each page, and following nextCursor walks the whole listing with every quote exactly once.
+ *     parameters:
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of quotes to skip
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque nextCursor from a previous response; takes precedence over offset
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of quotes to return
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     offset:
+ *                       type: integer
+ *                       description: Offset of the first quote returned
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                       description: Exact number of quotes in the listing
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to get the next window; null at the end
+ *       400:
+ *         description: Invalid cursor
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/quotes/paginated', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    // Parse pagination parameters
+    const { offset, limit, cursor: token, source } = PaginatedQuotesQuerySchema.parse(req.query);
+    const cursor = token ? decodeCursor(token) : null;
+    if (token && (!cursor || (source && source !== cursor.source))) {
+      throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'Not a cursor for this source', code: 'invalid_cursor' }]);
+    }
+    
+    console.log(`📓 Fetching paginated quotes: ${cursor ? `cursor page ${cursor.page}, quote ${cursor.index}` : `offset=${offset}`}, limit=${limit}`);
+    
+    // Fetch quotes with pagination
+    const page = await scraper.paginateQuotes({
+      offset,
+      cursor,
+      limit,
+      source: cursor ? cursor.source : source,
+      prefetch: true
+    });
+    
+    const response = {
+      success: true,
+      data: page.quotes,
+      ...partialResult(page.failures),
+      pagination: {
+        offset: page.offset,
+        limit,
+        total: page.total,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      }
+    };
+
+    res.json(response);
+
+  } catch (error) {
+    sendError(res, error, 'in paginated fetch');
+  }
+});
+
+// Quote search endpoint
+/**
+ * @swagger
+ * /api/quotes/search:
+ *   get:
+ *     summary: Search collected quotes
+ *     description: Full-text search over quotes the scraper has already collected (the last full crawl plus cached listing pages), filtered by author and tags and ranked by relevance
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Words to look for in the quote text, author and tags; exact phrases rank highest
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive author name match, e.g. "einstein"
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags, e.g. "life,love"
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [all, any]
+ *           default: all
+ *         description: Whether quotes need every listed tag or any one of them
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Ranked matches
+ *       400:
+ *         description: Invalid parameters (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/quotes/search', async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+    const criteria = QuoteSearchQuerySchema.parse(req.query);
+    const { results, total, page, limit, totalPages, searched } = scraper.searchQuotes(criteria);
+
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: results,
+      count: results.length
+    });
+
+    res.json({
+      ...response,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasMore: page < totalPages
+      },
+      searched
+    });
+
+  } catch (error) {
+    sendError(res, error, 'searching quotes');
+  }
+});
+
+// Write to a response, waiting for the client to catch up when its buffer is full
+function writeChunk(res, chunk) {
+  if (!chunk || res.destroyed || res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+/**
+ * @swagger
+ * /api/quotes/export:
+ *   get:
+ *     summary: Export quotes as a file
+ *     description: |
+ *       Streams every quote of a source, loading listing pages that aren't cached yet, as a download in
+ *       CSV, NDJSON, Markdown or JSON-LD (schema.org Quotation). Each quote carries its id, text, author,
+ *       tags, sourceUrl and goodreadsUrl. Takes the same filters as POST /api/quotes/random. When some
+ *       pages couldn't be loaded the export still succeeds, and the X-Partial-Result header says how many failed.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, md, jsonld]
+ *           default: csv
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: all
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive author name match
+ *       - in: query
+ *         name: minLength
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxLength
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: excludeIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated quote ids or source URLs to leave out
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           application/ld+json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid parameters (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/quotes/export', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    const { format, source, ...filters } = QuoteExportQuerySchema.parse(req.query);
+    const { quotes, failures } = await scraper.exportQuotes(source, { filters });
+    const exporter = EXPORT_FORMATS[format];
+    const sourceName = scraper.resolveSource(source).name;
+
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="quotes-${sourceName.replace(/[^A-Za-z0-9._-]/g, '_')}.${exporter.extension}"`,
+      'X-Total-Count': String(quotes.length)
+    });
+    const { warning } = partialResult(failures);
+    if (warning) {
+      res.set('X-Partial-Result', warning);
+    }
+
+    await writeChunk(res, exporter.begin({ source: sourceName, count: quotes.length }));
+    for (const [index, quote] of quotes.entries()) {
+      await writeChunk(res, exporter.item(quote, index));
+    }
+    res.end(exporter.end());
+
+  } catch (error) {
+    sendError(res, error, 'exporting quotes');
+  }
+});
+
+/**
+ * @swagger
+ * /api/quotes/{id}:
+ *   get:
+ *     summary: Get a quote by id
+ *     description: |
+ *       Returns a single quote by its id. Ids are hashes of the quote's normalised text and author, so they stay
+ *       the same when the site reorders its pages and can be stored in bookmarks or share links. Quotes that
+ *       haven't been collected yet are looked up by loading every listing page of the source.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-f]{16}$'
+ *         description: Quote id, as returned in the id field of any quote
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       400:
+ *         description: Malformed quote id
+ *       404:
+ *         description: Quote not found
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/quotes/:id', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    if (!isQuoteId(req.params.id)) {
+      throw new ValidationError(`Invalid quote id: ${req.params.id}`, [{ field: 'id', message: 'Expected 16 hex characters', code: 'invalid_string' }]);
+    }
+
+    const quote = await scraper.findQuote(req.params.id, req.query.source);
+
+    if (!quote) {
+      throw new NotFoundError(`Quote not found: ${req.params.id}`);
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    sendError(res, error, 'fetching quote');
+  }
+});
+
+// Author endpoints
+/**
+ * @swagger
+ * /api/authors:
+ *   get:
+ *     summary: List known authors
+ *     description: Authors of the quotes collected so far, with quote counts and any biography details already fetched
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/authors', async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+    const authors = scraper.listAuthors(req.query.source);
+
+    res.json({
+      success: true,
+      data: authors,
+      count: authors.length
+    });
+
+  } catch (error) {
+    sendError(res, error, 'listing authors');
+  }
+});
+
+/**
+ * @swagger
+ * /api/authors/{slug}:
+ *   get:
+ *     summary: Get an author profile
+ *     description: Scrapes (and caches) the author's biography page and returns the born date, born location and description along with every known quote by the author
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9-]+$'
+ *         description: Author page slug, e.g. Albert-Einstein
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Re-scrape the author page instead of using the cache
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       400:
+ *         description: Invalid slug (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Author not found
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/authors/:slug', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+    const { slug } = AuthorParamsSchema.parse(req.params);
+    const profile = await scraper.getAuthorProfile(slug, req.query.source, {
+      forceRefresh: req.query.refresh === 'true'
+    });
+
+    if (!profile) {
+      throw new NotFoundError(`Author not found: ${slug}`);
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+
+  } catch (error) {
+    sendError(res, error, 'fetching author profile');
+  }
+});
+
+// Tag endpoints
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: List tags
+ *     description: Tags of the quotes collected so far with quote counts, plus the site's top tags cloud (topRank 1 is the most popular)
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/tags', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+    const tags = await scraper.listTags(req.query.source);
+
+    res.json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+
+  } catch (error) {
+    sendError(res, error, 'listing tags');
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{tag}/quotes:
+ *   get:
+ *     summary: Get quotes for a tag
+ *     description: Scrapes one page of the site's /tag/<name>/ listing through the same cache and validation as the main listing pages
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9-]+$'
+ *         description: Tag name, e.g. love
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page of the tag listing (1-based)
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       400:
+ *         description: Invalid parameters (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+api.get('/api/tags/:tag/quotes', limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+    const { tag } = TagParamsSchema.parse(req.params);
+    const { page, source } = TagQuotesQuerySchema.parse(req.query);
+    const { quotes, hasMore } = await scraper.fetchTagQuotes(tag, page, source);
+
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: quotes,
+      count: quotes.length
+    });
+
+    res.json({
+      ...response,
+      tag,
+      pagination: {
+        page,
+        hasMore
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'fetching tag quotes');
+  }
+});
+
+// Cache management endpoints
+/**
+ * @swagger
+ * /api/cache/refresh:
+ *   post:
+ *     summary: Refresh the quote cache
+ *     description: Re-scrapes page metadata and listing pages, replacing the cached copies in memory and on disk. Needs an admin API key (API_ADMIN_KEYS).
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *               pages:
+ *                 type: array
+ *                 description: Page numbers to refresh (defaults to every page)
+ *                 items:
+ *                   type: integer
+ *             example:
+ *               pages: [1, 2]
+ *     responses:
+ *       200:
+ *         description: Cache refreshed
+ *       400:
+ *         description: Invalid parameters (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No API key (UNAUTHORIZED)
+ *       403:
+ *         description: The API key is not an admin key (FORBIDDEN)
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+cacheAdmin.post('/api/cache/refresh', requireAdmin, limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    const options = CacheRefreshRequestSchema.parse(req.body || {});
+    const { failures, ...result } = await scraper.refreshCache(options);
+
+    res.json({
+      success: true,
+      data: result,
+      ...partialResult(failures)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'refreshing cache');
+  }
+});
+
+/**
+ * @swagger
+ * /api/cache:
+ *   delete:
+ *     summary: Clear the quote cache
+ *     description: Removes every cached page and all page metadata from memory and disk. Needs an admin API key (API_ADMIN_KEYS).
+ *     responses:
+ *       200:
+ *         description: Cache cleared
+ *       401:
+ *         description: No API key (UNAUTHORIZED)
+ *       403:
+ *         description: The API key is not an admin key (FORBIDDEN)
+ *       429:
+ *         description: Rate limit or scrape concurrency limit exceeded (RATE_LIMITED)
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Scraper not initialized
+ */
+cacheAdmin.delete('/api/cache', requireAdmin, limitScrapes, async (req, res) => {
+  try {
+    const scraper = await requireScraper(req);
+
+    const result = await scraper.clearCache();
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'clearing cache');
+  }
+});
+
+// Background scrape jobs
+/**
+ * @swagger
+ * /api/jobs:
+ *   post:
+ *     summary: Start a scrape job
+ *     description: |
+ *       Queues a long scrape to run in the background and returns at once, so large requests don't
+ *       run into Lambda or proxy timeouts. Poll GET /api/jobs/{id} for progress and results.
+ *       Types: `bulk` (the first `count` quotes from `offset`, up to 5000), `all` (every quote),
+ *       `tag` (every quote with `tag`) and `author` (every quote whose author matches `author`).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [bulk, all, tag, author]
+ *               count:
+ *                 type: integer
+ *                 description: Quotes to collect (bulk only)
+ *               offset:
+ *                 type: integer
+ *                 description: Listing position to start from (bulk only)
+ *               tag:
+ *                 type: string
+ *                 description: Tag to collect (tag only)
+ *               author:
+ *                 type: string
+ *                 description: Case-insensitive author name (author only)
+ *               source:
+ *                 type: string
+ *                 description: Quote source adapter name (defaults to quotes.toscrape.com)
+ *             example:
+ *               type: bulk
+ *               count: 500
+ *     responses:
+ *       202:
+ *         description: Job queued; the Location header points at its status
+ *       400:
+ *         description: Invalid job (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: The job queue is full (RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+jobs.post('/api/jobs', async (req, res) => {
+  try {
+    const { type, ...params } = JobRequestSchema.parse(req.body);
+    if (params.source) {
+      getSource(params.source); // Reject an unknown source now rather than when the job runs
+    }
+    const job = await req.app.locals.jobQueue.submit(type, params);
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      success: true,
+      job: JobSchema.parse(req.app.locals.jobQueue.summary(job))
+    });
+
+  } catch (error) {
+    sendError(res, error, 'starting job');
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a scrape job's status and results
+ *     description: |
+ *       Returns the job (status queued, running, completed, failed or cancelled, plus progress) and the
+ *       quotes collected so far in `data`, which grows while the job runs. Pages that failed are reported
+ *       as a PARTIAL_RESULT; a job that stopped early keeps the quotes it had collected.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Return collected quotes from this index on, to skip ones already fetched
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       404:
+ *         description: Unknown or expired job (NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Cancel a scrape job
+ *     description: Cancels a queued job, or stops a running one after its current chunk. Finished jobs are returned unchanged.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation accepted
+ *       404:
+ *         description: Unknown or expired job (NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+jobs.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const { offset } = JobResultsQuerySchema.parse(req.query);
+    const job = await req.app.locals.jobQueue.get(req.params.id);
+    if (!job) {
+      throw new NotFoundError(`Job not found: ${req.params.id}`);
+    }
+
+    const response = QuoteResponseSchema.parse({
+      success: true,
+      data: job.quotes.slice(offset),
+      count: Math.max(0, job.quotes.length - offset)
+    });
+
+    res.json({
+      ...response,
+      job: JobSchema.parse(req.app.locals.jobQueue.summary(job)),
+      ...partialResult(job.failures)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'getting job');
+  }
+});
+
+jobs.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await req.app.locals.jobQueue.cancel(req.params.id);
+    if (!job) {
+      throw new NotFoundError(`Job not found: ${req.params.id}`);
+    }
+
+    res.json({
+      success: true,
+      job: JobSchema.parse(req.app.locals.jobQueue.summary(job))
+    });
+
+  } catch (error) {
+    sendError(res, error, 'cancelling job');
+  }
+});
+
+/**
+ * @swagger
+ * /api/changes:
+ *   get:
+ *     summary: Get the change log of scheduled re-crawls
+ *     description: |
+ *       Every scheduled re-crawl (RECRAWL_SCHEDULE) fetches all listing pages of a source again and compares them with
+ *       the previous run. Each run adds an entry, newest first, listing the quotes that were added, removed or re-tagged
+ *       and the pages whose quote count changed; page counts also update the page metadata used for pagination. A
+ *       source's first run is recorded as a baseline. Quotes on pages that failed to load are not reported as removed;
+ *       those pages are listed in failedPages. The response also reports the scheduler's state.
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Only entries for this source (default every re-crawled source)
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries crawled after this time
+ *       - in: query
+ *         name: changedOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Skip runs that found no changes
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Change entries and scheduler status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                       crawledAt:
+ *                         type: string
+ *                         format: date-time
+ *                       previousCrawlAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       baseline:
+ *                         type: boolean
+ *                       changed:
+ *                         type: boolean
+ *                       summary:
+ *                         type: object
+ *                         properties:
+ *                           added:
+ *                             type: integer
+ *                           removed:
+ *                             type: integer
+ *                           retagged:
+ *                             type: integer
+ *                           pagesChanged:
+ *                             type: integer
+ *                       added:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       removed:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       retagged:
+ *                         type: array
+ *                         description: Quotes with previousTags, addedTags and removedTags
+ *                         items:
+ *                           type: object
+ *                       pages:
+ *                         type: object
+ *                         nullable: true
+ *                         description: totalPages before and after, and { page, before, after } per changed page; null when the pages couldn't be counted
+ *                       failedPages:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                 count:
+ *                   type: integer
+ *                 recrawl:
+ *                   type: object
+ *                   properties:
+ *                     schedule:
+ *                       type: string
+ *                       nullable: true
+ *                     sources:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     running:
+ *                       type: boolean
+ *                     nextRunAt:
+ *                       type: string
+ *                       nullable: true
+ *                     lastRunAt:
+ *                       type: string
+ *                       nullable: true
+ *                     lastError:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid query or a source that isn't re-crawled (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit exceeded (RATE_LIMITED)
+ */
+changes.get('/api/changes', async (req, res) => {
+  try {
+    const { source, since, changedOnly, limit } = ChangesQuerySchema.parse(req.query);
+    const { sources } = req.app.locals.recrawl;
+
+    if (source && !sources.includes(source)) {
+      throw new ValidationError(`Source is not re-crawled: ${source}`, [{ field: 'source', message: `Expected one of ${sources.join(', ')}`, code: 'invalid_source' }]);
+    }
+
+    const entries = await req.app.locals.changeLog.list({
+      sources: source ? [source] : sources,
+      since: since ? new Date(since).toISOString() : null,
+      changedOnly,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      recrawl: { ...req.app.locals.recrawler.status(), sources }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'getting changes');
+  }
+});
+
+// Prometheus metrics endpoint
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Get scraper metrics in Prometheus format
+ *     description: Returns page fetch, cache, timeout and login counters in the Prometheus text exposition format
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       503:
+ *         description: Scraper not initialized
+ */
+monitoring.get('/metrics', (req, res) => {
+  const scraper = req.app.locals.peekScraper();
+  if (!scraper) {
+    return res.status(503).type('text/plain').send('# scraper not initialized\n');
+  }
+
+  res.type('text/plain; version=0.0.4').send(scraper.getPrometheusMetrics());
+});
+
+// Swagger spec without the paths of disabled features
+function buildSwaggerDocs(features) {
+  const docs = swaggerJsDoc(swaggerOptions);
+  for (const [feature, router] of Object.entries(FEATURE_ROUTERS)) {
+    if (features[feature]) {
+      continue;
+    }
+    for (const layer of router.stack) {
+      delete docs.paths[layer.route.path.replace(/:(\w+)/g, '{$1}')];
+    }
+  }
+  return docs;
+}
+
+// Re-crawl each source and log what changed since its previous run. A source
+// that fails is logged and skipped so the others still run.
+async function recrawlSources(getScraper, changeLog, sources) {
+  const scraper = await getScraper();
+  if (!scraper) {
+    throw new ScraperUnavailableError();
+  }
+
+  const entries = [];
+  const failures = [];
+  for (const source of sources) {
+    try {
+      entries.push(await changeLog.record(await scraper.snapshotListing({ source })));
+    } catch (error) {
+      console.error(`❌ Re-crawl of ${source} failed:`, error.message);
+      failures.push(`${source}: ${error.message}`);
+    }
+  }
+
+  if (entries.length === 0 && failures.length > 0) {
+    throw new Error(`Re-crawl failed for ${failures.join('; ')}`);
+  }
+  return entries;
+}
+
+// Build the app. getScraper resolves to the scraper (or null when it failed
+// to start); peekScraper returns it without starting one, for endpoints that
+// report status. The re-crawl scheduler is created here but only runs once an
+// entrypoint starts it (app.locals.recrawler.start()).
+function createApp({
+  getScraper,
+  peekScraper = () => null,
+  cors: corsOptions = config.cors,
+  access = config.access,
+  jobs: jobOptions = config.jobs,
+  recrawl: recrawlOptions = config.recrawl,
+  features = config.features
+}) {
+  const app = express();
+  // EventSource can't send the X-Api-Key header, so the stream takes ?apiKey= too
+  const accessControl = createAccessControl({ ...access, queryKeyPaths: ['/api/quotes/random/stream'] });
+  app.locals.getScraper = getScraper;
+  app.locals.peekScraper = peekScraper;
+  app.locals.access = accessControl;
+  app.locals.jobQueue = new JobQueue({
+    store: new CacheStore({ dir: jobOptions.dir, ttlSeconds: jobOptions.ttlSeconds }),
+    concurrency: jobOptions.concurrency,
+    maxQueued: jobOptions.maxQueued,
+    run: async (job, context) => {
+      const scraper = await getScraper();
+      if (!scraper) {
+        throw new ScraperUnavailableError();
+      }
+      return runJob(scraper, job, context);
+    }
+  });
+  app.locals.recrawl = recrawlOptions;
+  app.locals.changeLog = new ChangeLog({
+    store: new CacheStore({ dir: recrawlOptions.dir }),
+    maxEntries: recrawlOptions.maxEntries
+  });
+  app.locals.recrawler = new RecrawlScheduler({
+    schedule: recrawlOptions.schedule,
+    run: () => recrawlSources(getScraper, app.locals.changeLog, recrawlOptions.sources)
+  });
+  app.set('trust proxy', access.trustProxy);
+
+  // Middleware
+  app.use(cors(corsOptions));
+  app.use(express.json());
+
+  // API keys and rate limits cover the /api endpoints; /health, /metrics and
+  // the docs stay open
+  app.use('/api', accessControl.authenticate, accessControl.limitRequests);
+
+  // Swagger UI - must be before other routes
+  if (features.docs) {
+    app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(buildSwaggerDocs(features)));
+  }
+
+  app.use(api);
+  for (const [feature, router] of Object.entries(FEATURE_ROUTERS)) {
+    if (features[feature]) {
+      app.use(router);
+    }
+  }
+
+  // Pick up jobs left unfinished by the last run
+  if (features.jobs) {
+    app.locals.jobQueue.ready().catch(error => console.error('❌ Failed to restore scrape jobs:', error));
+  }
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    // Malformed JSON bodies are rejected by express.json before any route runs
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, new ValidationError('Request body is not valid JSON', [{ field: null, message: error.message, code: 'invalid_json' }]), 'parsing request body');
+    }
+    sendError(res, error, `handling ${req.method} ${req.originalUrl}`);
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json(new NotFoundError('Endpoint not found').toJSON());
+  });
+
+  return app;
+}
+
+// Create and start a scraper from config.puppeteer. The scraper is returned
+// even if it failed to start; health reports its state.
+async function startScraper(options = {}) {
+  console.log('🚀 Initializing quote scraper...');
+  const scraper = new QuoteScraper({
+    maxPages: config.puppeteer.maxPages,
+    maxConcurrentTabs: config.puppeteer.maxConcurrentTabs,
+    timeout: config.puppeteer.timeout,
+    ...options
+  });
+
+  try {
+    await scraper.initialize();
+    console.log('✅ Scraper initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize scraper:', error);
+  }
+  return scraper;
+}
+
+module.exports = {
+  createApp,
+  startScraper
+};
@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Persistent JSON-file cache for scraped pages and page metadata
+// Each entry lives in its own file so concurrent writes to different keys
+// never clobber each other, and writes go through a temp file + rename so
+// a crash mid-write can't leave a truncated entry behind.
+
+class CacheStore {
+  constructor({ dir, ttlSeconds = 21600 }) {
+    this.dir = dir;
+    this.ttlMs = ttlSeconds * 1000;
+  }
+
+  get enabled() {
+    return !!this.dir;
+  }
+
+  filePath(key) {
+    // Keys look like "pages/quotes.toscrape.com:3" - keep them readable on disk.
+    // Dots survive the sanitising, so "." and ".." segments are refused
+    // outright rather than letting a key (say, a tag from a URL) climb out of
+    // the cache directory.
+    const parts = key.split('/').map(part => part.replace(/[^A-Za-z0-9._-]/g, '_'));
+    if (parts.some(part => part === '' || /^\.+$/.test(part))) {
+      throw new Error(`Invalid cache key: ${key}`);
+    }
+
+    const root = path.resolve(this.dir);
+    const file = path.resolve(root, `${parts.join(path.sep)}.json`);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid cache key: ${key}`);
+    }
+    return file;
+  }
+
+  isFresh(entry) {
+    return !!entry && Date.now() - entry.storedAt < this.ttlMs;
+  }
+
+  // Resolves to { value, storedAt, fresh } or null when the key isn't cached
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      return { ...entry, fresh: this.isFresh(entry) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable cache entry ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async set(key, value, storedAt = Date.now()) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const file = this.filePath(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify({ storedAt, value }));
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      // A cache that can't be written shouldn't break scraping
+      console.warn(`⚠️ Failed to persist cache entry ${key}: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    if (!this.enabled) {
+      return;
+    }
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  // Resolves to [{ key, value, storedAt, fresh }] for every entry under a
+  // prefix such as "jobs", skipping unreadable ones
+  async list(prefix) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dir, prefix));
+    } catch (error) {
+      return [];
+    }
+
+    const keys = files.filter(file => file.endsWith('.json')).map(file => `${prefix}/${file.slice(0, -'.json'.length)}`);
+    const entries = await Promise.all(keys.map(async key => {
+      const entry = await this.get(key);
+      return entry && { key, ...entry };
+    }));
+    return entries.filter(Boolean);
+  }
+
+  // Remove the entries under the given prefixes, such as ["pages", "metadata"].
+  // Only those subdirectories are touched, never the directory itself, so a
+  // store pointed at a shared directory can't wipe files it didn't write.
+  async clear(prefixes) {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const prefix of prefixes) {
+      if (!/^[A-Za-z0-9._-]+$/.test(prefix) || prefix === '.' || prefix === '..') {
+        throw new Error(`Invalid cache prefix: ${prefix}`);
+      }
+      const target = path.join(this.dir, prefix);
+      removed += await countFiles(target);
+      await fs.rm(target, { recursive: true, force: true });
+    }
+    return removed;
+  }
+}
+
+async function countFiles(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const counts = await Promise.all(entries.map(entry =>
+      entry.isDirectory() ? countFiles(path.join(dir, entry.name)) : 1
+    ));
+    return counts.reduce((total, count) => total + count, 0);
+  } catch (error) {
+    return 0;
+  }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,162 @@
+// Change detection for scheduled re-crawls (see recrawlScheduler.js)
+// Every re-crawl of a source produces a snapshot of its listing. The snapshot
+// is compared with the one from the previous run and the differences - quotes
+// added, removed or re-tagged, and pages whose quote count changed - become
+// an entry in the source's change log, newest first. The first snapshot of a
+// source is recorded as a baseline with nothing to compare against.
+//
+// Snapshots look like { source, takenAt, totalPages, pageCounts, failedPages,
+// quotes: [{ id, text, author, tags, page }] }. Quotes on pages that failed
+// to load are left out, so they are never reported as removed, and page counts
+// are null when the pages couldn't be counted.
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+const summarize = ({ id, text, author, tags, page }) => ({ id, text, author, tags, page });
+
+function diffSnapshots(previous, current) {
+  const before = new Map(previous.quotes.map(quote => [quote.id, quote]));
+  const after = new Map(current.quotes.map(quote => [quote.id, quote]));
+  const unreadPages = new Set(current.failedPages);
+
+  const added = current.quotes.filter(quote => !before.has(quote.id)).map(summarize);
+  const removed = previous.quotes
+    .filter(quote => !after.has(quote.id) && !unreadPages.has(quote.page))
+    .map(summarize);
+
+  const retagged = [];
+  for (const quote of current.quotes) {
+    const old = before.get(quote.id);
+    if (!old) {
+      continue;
+    }
+    const addedTags = quote.tags.filter(tag => !old.tags.includes(tag));
+    const removedTags = old.tags.filter(tag => !quote.tags.includes(tag));
+    if (addedTags.length > 0 || removedTags.length > 0) {
+      retagged.push({ ...summarize(quote), previousTags: old.tags, addedTags, removedTags });
+    }
+  }
+
+  return { added, removed, retagged, pages: diffPageCounts(previous, current) };
+}
+
+// Pages whose quote count changed, or null when either run couldn't count them
+function diffPageCounts(previous, current) {
+  if (!previous.pageCounts || !current.pageCounts) {
+    return null;
+  }
+
+  const pageCount = Math.max(previous.pageCounts.length, current.pageCounts.length);
+  const changed = [];
+  for (let page = 1; page <= pageCount; page++) {
+    const was = previous.pageCounts[page - 1] ?? null;
+    const now = current.pageCounts[page - 1] ?? null;
+    if (was !== now) {
+      changed.push({ page, before: was, after: now });
+    }
+  }
+
+  return {
+    totalPages: { before: previous.totalPages, after: current.totalPages },
+    changed
+  };
+}
+
+// What a run couldn't see - quotes on failed pages, page counts after a
+// failed walk - is kept from the previous snapshot, so the next run doesn't
+// report it as new
+function carryForward(previous, snapshot) {
+  const unreadPages = new Set(snapshot.failedPages);
+  const seen = new Set(snapshot.quotes.map(quote => quote.id));
+  const unread = previous.quotes.filter(quote => unreadPages.has(quote.page) && !seen.has(quote.id));
+
+  return {
+    ...snapshot,
+    quotes: [...snapshot.quotes, ...unread],
+    ...(snapshot.pageCounts ? {} : { totalPages: previous.totalPages, pageCounts: previous.pageCounts })
+  };
+}
+
+class ChangeLog {
+  constructor({ store, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    this.store = store; // CacheStore for snapshots and change entries
+    this.maxEntries = maxEntries; // Entries kept per source
+    this.snapshots = new Map(); // Source name -> latest snapshot
+    this.entries = new Map(); // Source name -> change entries, newest first
+  }
+
+  async latestSnapshot(source) {
+    if (!this.snapshots.has(source)) {
+      const stored = await this.store.get(`snapshots/${source}`);
+      this.snapshots.set(source, stored ? stored.value : null);
+    }
+    return this.snapshots.get(source);
+  }
+
+  async entriesFor(source) {
+    if (!this.entries.has(source)) {
+      const stored = await this.store.get(`changes/${source}`);
+      this.entries.set(source, stored ? stored.value : []);
+    }
+    return this.entries.get(source);
+  }
+
+  // Compare a snapshot with the source's previous one, then keep it for the
+  // next run. Resolves to the change entry that was logged.
+  async record(snapshot) {
+    const previous = await this.latestSnapshot(snapshot.source);
+    const changes = previous ? diffSnapshots(previous, snapshot) : null;
+    const pagesChanged = changes && changes.pages ? changes.pages.changed.length : 0;
+
+    const entry = {
+      id: `${snapshot.source}@${snapshot.takenAt}`,
+      source: snapshot.source,
+      crawledAt: snapshot.takenAt,
+      previousCrawlAt: previous ? previous.takenAt : null,
+      baseline: !previous,
+      totalPages: snapshot.totalPages,
+      totalQuotes: snapshot.quotes.length,
+      failedPages: snapshot.failedPages,
+      summary: {
+        added: changes ? changes.added.length : 0,
+        removed: changes ? changes.removed.length : 0,
+        retagged: changes ? changes.retagged.length : 0,
+        pagesChanged
+      },
+      changed: !!changes && (changes.added.length + changes.removed.length + changes.retagged.length + pagesChanged) > 0,
+      ...(changes || { added: [], removed: [], retagged: [], pages: null })
+    };
+
+    const entries = await this.entriesFor(snapshot.source);
+    entries.unshift(entry);
+    entries.splice(this.maxEntries);
+
+    const kept = previous ? carryForward(previous, snapshot) : snapshot;
+    this.snapshots.set(snapshot.source, kept);
+    await this.store.set(`snapshots/${snapshot.source}`, kept);
+    await this.store.set(`changes/${snapshot.source}`, entries);
+
+    console.log(entry.baseline
+      ? `🗂️ Recorded baseline snapshot of ${snapshot.source} (${entry.totalQuotes} quotes)`
+      : `🗂️ Changes in ${snapshot.source}: ${entry.summary.added} added, ${entry.summary.removed} removed, ${entry.summary.retagged} re-tagged, ${entry.summary.pagesChanged} pages changed`);
+    return entry;
+  }
+
+  // Change entries for the given sources, newest first. `since` (an ISO
+  // timestamp) keeps entries crawled after it; `changedOnly` drops runs that
+  // found nothing new.
+  async list({ sources, since = null, changedOnly = false, limit = 20 }) {
+    const entries = [];
+    for (const source of sources) {
+      entries.push(...await this.entriesFor(source));
+    }
+
+    return entries
+      .filter(entry => !since || entry.crawledAt > since)
+      .filter(entry => !changedOnly || entry.changed)
+      .sort((a, b) => b.crawledAt.localeCompare(a.crawledAt))
+      .slice(0, limit);
+  }
+}
+
+module.exports = { ChangeLog, diffSnapshots };
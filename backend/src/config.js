@@ -1,3 +1,58 @@
+const os = require('os');
+const path = require('path');
+
+const isLambda = process.env.IS_LAMBDA === 'true' || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+// Comma-separated environment variable -> array of non-empty entries
+const parseList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const defaultSource = process.env.QUOTE_SOURCE || 'quotes.toscrape.com';
+const recrawlSources = parseList(process.env.RECRAWL_SOURCES);
+
+const DEFAULT_CORS_ORIGINS = [
+  'http://localhost:3000',
+  'https://quotefetcher-frontend.onrender.com'
+];
+
+function parseOrigins(value) {
+  if (!value) {
+    return DEFAULT_CORS_ORIGINS;
+  }
+  if (value.trim() === '*') {
+    return '*';
+  }
+  return value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+// API_KEYS is a comma-separated list of name:key, optionally followed by the
+// key's own quota as :requestsPerMinute:maxConcurrentScrapes
+function parseApiKeys(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry, i) => {
+    const [name, key, perMinute, maxConcurrentScrapes] = entry.split(':');
+    if (!name || !key) {
+      throw new Error(`Invalid API_KEYS entry #${i + 1}: expected name:key[:requestsPerMinute[:maxConcurrentScrapes]]`);
+    }
+    return {
+      name,
+      key,
+      perMinute: parseInt(perMinute) || undefined,
+      maxConcurrentScrapes: parseInt(maxConcurrentScrapes) || undefined
+    };
+  });
+}
+
+// TRUST_PROXY is passed to Express's 'trust proxy' setting: true, false, or
+// the number of proxies in front of the app
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return parseInt(value) || value;
+}
+
 module.exports = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -6,18 +61,82 @@ module.exports = {
   puppeteer: {
     headless: process.env.PUPPETEER_HEADLESS !== 'false',
     timeout: parseInt(process.env.PUPPETEER_TIMEOUT) || 30000,
-    maxConcurrentTabs: parseInt(process.env.PUPPETEER_MAX_CONCURRENT_TABS) || 10,
+    // Lambda functions share one container's memory between all their tabs
+    maxConcurrentTabs: parseInt(process.env.PUPPETEER_MAX_CONCURRENT_TABS) || (isLambda ? 5 : 10),
     maxPages: parseInt(process.env.PUPPETEER_MAX_PAGES) || 10
   },
   
   // CORS Configuration
+  // CORS_ORIGIN is a comma-separated list of allowed origins, or * for any
   cors: {
-    origin: process.env.CORS_ORIGIN || 'http://localhost:3000'
+    origin: parseOrigins(process.env.CORS_ORIGIN),
+    credentials: process.env.CORS_CREDENTIALS === 'true',
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Content-Disposition', 'X-Total-Count', 'X-Partial-Result']
+  },
+  
+  // API keys and throttling (see accessControl.js)
+  access: {
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    adminKeys: parseList(process.env.API_ADMIN_KEYS), // Names of API_KEYS entries that may use /api/cache
+    requireApiKey: process.env.API_KEY_REQUIRED === 'true',
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY), // Needed behind Render or API Gateway to limit by client IP
+    rateLimit: {
+      enabled: process.env.RATE_LIMIT !== 'false',
+      perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 120, // Per IP address
+      burst: parseInt(process.env.RATE_LIMIT_BURST) || 60,
+      keyPerMinute: parseInt(process.env.RATE_LIMIT_KEY_PER_MINUTE) || 600, // Per API key without its own quota
+      keyBurst: parseInt(process.env.RATE_LIMIT_KEY_BURST) || 120
+    },
+    // Scrape-heavy requests running at once, capped independently of RATE_LIMIT
+    scrapeConcurrency: {
+      enabled: process.env.SCRAPE_CONCURRENCY_LIMIT !== 'false',
+      perClient: parseInt(process.env.SCRAPE_CONCURRENCY_PER_CLIENT) || 3,
+      total: parseInt(process.env.SCRAPE_CONCURRENCY_TOTAL) || 10
+    }
+  },
+  
+  // Background scrape jobs (see jobQueue.js). Job records live apart from the
+  // page cache; set QUOTE_JOB_DIR to an empty string to keep them in memory only
+  jobs: {
+    dir: process.env.QUOTE_JOB_DIR ?? path.join(__dirname, '..', '.cache', 'jobs'),
+    ttlSeconds: parseInt(process.env.JOB_TTL_SECONDS) || 86400, // Finished jobs are kept this long
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1,
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || 50
+  },
+  
+  // Optional API features, all on unless set to 'false'
+  features: {
+    docs: process.env.API_DOCS !== 'false', // Swagger UI at /api-docs
+    streaming: process.env.API_STREAMING !== 'false', // GET /api/quotes/random/stream
+    metrics: process.env.API_METRICS !== 'false', // GET /api/stats and /metrics
+    cacheAdmin: process.env.API_CACHE_ADMIN !== 'false', // POST /api/cache/refresh and DELETE /api/cache
+    // /api/jobs. Never on Lambda: each container has its own /tmp and only runs
+    // while handling a request, so a job could be polled on a container that
+    // doesn't know it and would stall between requests
+    jobs: !isLambda && process.env.API_JOBS !== 'false',
+    changes: process.env.API_CHANGES !== 'false' // GET /api/changes
+  },
+  
+  // Scheduled re-crawls and their change log (see recrawlScheduler.js and
+  // changeLog.js). Nothing is re-crawled unless RECRAWL_SCHEDULE is set.
+  // Snapshots live apart from the page cache so clearing it keeps the history;
+  // set QUOTE_CHANGES_DIR to an empty string to keep them in memory only
+  recrawl: {
+    schedule: process.env.RECRAWL_SCHEDULE || null, // e.g. 6h or "0 */6 * * *"
+    sources: recrawlSources.length > 0 ? recrawlSources : [defaultSource], // RECRAWL_SOURCES, comma-separated
+    dir: process.env.QUOTE_CHANGES_DIR ??
+      (isLambda ? path.join(os.tmpdir(), 'quote-changes') : path.join(__dirname, '..', '.cache', 'changes')),
+    maxEntries: parseInt(process.env.CHANGE_LOG_MAX_ENTRIES) || 100 // Kept per source
+  },
+  
+  // Quote source adapters (see src/sources)
+  sources: {
+    default: defaultSource,
+    modules: parseList(process.env.QUOTE_SOURCE_MODULES)
   },
   
   // API Configuration
   api: {
-    baseUrl: 'https://quotes.toscrape.com',
     endpoints: {
       random: '/api/quotes/random',
       all: '/api/quotes/all',
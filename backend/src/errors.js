@@ -0,0 +1,174 @@
+const { ZodError } = require('zod');
+const { isTimeoutError } = require('./metrics');
+
+// Typed API errors
+// Every failure the API reports carries a stable `code` that clients can
+// switch on and the HTTP status it maps to. Error bodies look like
+// { success: false, error: message, code, details? }, where details lists
+// the offending fields for validation errors and the failed page for
+// upstream errors. Responses that still return quotes after some pages
+// failed use the PARTIAL_RESULT code instead (see partialResult).
+
+class ApiError extends Error {
+  constructor(message, { code = 'INTERNAL_ERROR', status = 500, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...(this.details !== undefined ? { details: this.details } : {})
+    };
+  }
+}
+
+// Bad request parameters. details: [{ field, message, code }]
+class ValidationError extends ApiError {
+  constructor(message, details = []) {
+    super(message, { code: 'VALIDATION_ERROR', status: 400, details });
+    this.name = 'ValidationError';
+  }
+
+  static fromZod(error) {
+    const details = error.issues.map(issue => ({
+      field: issue.path.join('.') || null,
+      message: issue.message,
+      code: issue.code
+    }));
+    const summary = details.map(({ field, message }) => field ? `${field}: ${message}` : message).join('; ');
+    return new ValidationError(`Invalid request: ${summary}`, details);
+  }
+}
+
+// Missing or unknown API key
+class UnauthorizedError extends ApiError {
+  constructor(message) {
+    super(message, { code: 'UNAUTHORIZED', status: 401 });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// A valid API key that isn't allowed to use the endpoint
+class ForbiddenError extends ApiError {
+  constructor(message) {
+    super(message, { code: 'FORBIDDEN', status: 403 });
+    this.name = 'ForbiddenError';
+  }
+}
+
+// Client over its request rate or scrape concurrency limit.
+// details: { scope, limit, retryAfter }, retryAfter in seconds
+class RateLimitError extends ApiError {
+  constructor(message, details) {
+    super(message, { code: 'RATE_LIMITED', status: 429, details });
+    this.name = 'RateLimitError';
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message) {
+    super(message, { code: 'NOT_FOUND', status: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+// The scraper hasn't started, or its browser is down and couldn't be relaunched
+class ScraperUnavailableError extends ApiError {
+  constructor(message = 'Scraper not initialized', { cause } = {}) {
+    super(message, { code: 'SCRAPER_UNAVAILABLE', status: 503, cause });
+    this.name = 'ScraperUnavailableError';
+  }
+}
+
+// The quote site failed to serve a page. details: { source, page, tag? }
+class UpstreamError extends ApiError {
+  constructor(message, { details, cause } = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', status: 502, details, cause });
+    this.name = 'UpstreamError';
+  }
+}
+
+class UpstreamTimeoutError extends ApiError {
+  constructor(message, { details, cause } = {}) {
+    super(message, { code: 'UPSTREAM_TIMEOUT', status: 504, details, cause });
+    this.name = 'UpstreamTimeoutError';
+  }
+}
+
+// Turn any error into an ApiError. Zod failures become validation errors and
+// timeouts upstream timeouts; anything unexpected is a 500.
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof ZodError) {
+    return ValidationError.fromZod(error);
+  }
+  if (isTimeoutError(error)) {
+    return new UpstreamTimeoutError(error.message, { cause: error });
+  }
+  return new ApiError(error?.message || 'Internal server error', { cause: error });
+}
+
+// Error raised when a listing page couldn't be scraped
+function toPageError(error, details) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  const PageError = isTimeoutError(error) ? UpstreamTimeoutError : UpstreamError;
+  return new PageError(error.message, { details, cause: error });
+}
+
+// Fields to add to a successful response when some pages failed along the way
+function partialResult(failures = []) {
+  if (failures.length === 0) {
+    return {};
+  }
+
+  return {
+    code: 'PARTIAL_RESULT',
+    warning: `${failures.length} ${failures.length === 1 ? 'page' : 'pages'} could not be loaded, so the result may be incomplete`,
+    details: failures.map(failure => ({ ...failure.details, code: failure.code, message: failure.message }))
+  };
+}
+
+// Log an error and send it with its status. Client errors are expected, so
+// they only get a one-line warning.
+function sendError(res, error, action) {
+  const apiError = toApiError(error);
+
+  if (apiError.status >= 500) {
+    console.error(`❌ Error ${action}:`, error);
+  } else {
+    console.warn(`⚠️ Rejected request ${action}: ${apiError.message}`);
+  }
+
+  // A response that already started streaming can only be cut short
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.status(apiError.status).json(apiError.toJSON());
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitError,
+  NotFoundError,
+  ScraperUnavailableError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  toApiError,
+  toPageError,
+  partialResult,
+  sendError
+};
@@ -0,0 +1,94 @@
+// Quote export formats for GET /api/quotes/export
+// Each format writes a document in three parts - begin(), one item() per
+// quote and end() - so exports can be streamed without building the whole
+// body in memory.
+
+const CSV_COLUMNS = ['id', 'text', 'author', 'tags', 'sourceUrl', 'goodreadsUrl'];
+
+// Quote a CSV field when needed. Spreadsheets run cells that start with
+// = + - @ as formulas, so those get a leading apostrophe.
+function csvField(value) {
+  let field = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// Backslash-escape characters Markdown would treat as formatting
+function markdownText(value) {
+  return String(value).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+// Every line of a multi-line quote has to carry the "> " to stay in the blockquote
+function markdownBlockquote(value) {
+  return markdownText(value).split(/\r?\n/).map(line => `> ${line}`).join('\n');
+}
+
+function toQuotation(quote) {
+  return {
+    '@type': 'Quotation',
+    '@id': quote.sourceUrl,
+    identifier: quote.id,
+    text: quote.text,
+    creator: { '@type': 'Person', name: quote.author },
+    keywords: quote.tags,
+    url: quote.sourceUrl,
+    ...(quote.goodreadsUrl ? { sameAs: quote.goodreadsUrl } : {})
+  };
+}
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte order mark makes Excel read the file as UTF-8
+    begin: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+    item: quote => CSV_COLUMNS
+      .map(column => csvField(column === 'tags' ? (quote.tags || []).join('; ') : quote[column]))
+      .join(',') + '\r\n',
+    end: () => ''
+  },
+
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    begin: () => '',
+    item: quote => `${JSON.stringify(quote)}\n`,
+    end: () => ''
+  },
+
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    begin: ({ source, count }) => `# Quotes from ${markdownText(source)}\n\n${count} ${count === 1 ? 'quote' : 'quotes'}\n\n`,
+    item: quote => {
+      const links = [`[Source](<${quote.sourceUrl}>)`];
+      if (quote.goodreadsUrl) {
+        links.push(`[Goodreads](<${quote.goodreadsUrl}>)`);
+      }
+      const tags = (quote.tags || []).map(tag => `\`${tag.replace(/`/g, '')}\``).join(', ');
+      return [
+        markdownBlockquote(quote.text),
+        '>',
+        `> — **${markdownText(quote.author)}**`,
+        '',
+        [tags && `Tags: ${tags}`, links.join(' · ')].filter(Boolean).join(' · '),
+        '',
+        ''
+      ].join('\n');
+    },
+    end: () => ''
+  },
+
+  // schema.org Quotation items in an @graph
+  jsonld: {
+    contentType: 'application/ld+json; charset=utf-8',
+    extension: 'jsonld',
+    begin: () => '{"@context":"https://schema.org","@graph":[\n',
+    item: (quote, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(toQuotation(quote))}`,
+    end: () => '\n]}\n'
+  }
+};
+
+module.exports = { EXPORT_FORMATS };
@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Recorded responses for running the scraper offline
+// With QUOTES_FIXTURES set, every page the scraper navigates to - listing,
+// tag, author and login pages, and the JSON behind infinite-scroll listings -
+// goes through a FixtureStore instead of the network. In 'record' mode
+// requests go out as usual and each response is saved under the fixtures
+// directory; in 'replay' mode the saved responses are served back and
+// nothing leaves the process, so runs give the same results every time.
+// HTTP mode records and replays in HttpClient.request; browser mode uses
+// Puppeteer request interception (see attach).
+//
+// Fixtures are keyed by method and URL, one JSON file each:
+// { method, url, finalUrl, status, headers, body, recordedAt }. Request
+// bodies are not part of the key and are never saved, so a recorded login
+// replays whatever credentials are configured.
+
+// Browser requests worth recording; images, stylesheets and fonts are let
+// through while recording and dropped on replay
+const RECORDED_RESOURCE_TYPES = new Set(['document', 'xhr', 'fetch', 'script']);
+
+// Response headers the scraper relies on
+const RECORDED_HEADERS = ['content-type', 'location'];
+
+class FixtureStore {
+  constructor({ dir, mode = 'replay' }) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Invalid fixtures mode "${mode}": expected record or replay`);
+    }
+    this.dir = path.resolve(dir);
+    this.mode = mode;
+    this.recorded = 0;
+    this.replayed = 0;
+    this.missing = new Set(); // Keys requested on replay without a fixture
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  // Check the directory before the first request: replay needs fixtures to exist
+  async ready() {
+    if (this.recording) {
+      await fs.mkdir(this.dir, { recursive: true });
+      console.log(`📼 Recording fixtures to ${this.dir}`);
+      return;
+    }
+
+    const entries = await fs.readdir(this.dir).catch(() => []);
+    if (entries.length === 0) {
+      throw new Error(`No fixtures found in ${this.dir}; record them first with QUOTES_FIXTURES_MODE=record`);
+    }
+    console.log(`📼 Replaying fixtures from ${this.dir} (no network)`);
+  }
+
+  // quotes.toscrape.com/GET_page_2_-1a2b3c4d.json - readable, with a hash of
+  // the full method and URL so long or similar URLs never collide
+  filePath(method, url) {
+    const { host, pathname, search } = new URL(url);
+    const readable = `${method}_${pathname}${search}`.replace(/[^A-Za-z0-9.-]+/g, '_').slice(0, 80);
+    const hash = crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 8);
+    return path.join(this.dir, host.replace(/[^A-Za-z0-9.-]/g, '_'), `${readable}-${hash}.json`);
+  }
+
+  toJSON() {
+    return {
+      dir: this.dir,
+      mode: this.mode,
+      recorded: this.recorded,
+      replayed: this.replayed,
+      missing: this.missing.size
+    };
+  }
+
+  async load(method, url) {
+    try {
+      const fixture = JSON.parse(await fs.readFile(this.filePath(method, url), 'utf8'));
+      this.replayed++;
+      return fixture;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable fixture for ${method} ${url}: ${error.message}`);
+      }
+      const key = `${method} ${url}`;
+      if (!this.missing.has(key)) {
+        this.missing.add(key);
+        console.warn(`⚠️ No fixture recorded for ${key}`);
+      }
+      return null;
+    }
+  }
+
+  async save(method, url, { finalUrl = url, status, headers, body }) {
+    const file = this.filePath(method, url);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const fixture = { method, url, finalUrl, status, headers, body, recordedAt: new Date().toISOString() };
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(fixture, null, 2));
+      await fs.rename(tempFile, file);
+      this.recorded++;
+    } catch (error) {
+      console.warn(`⚠️ Failed to record fixture for ${method} ${url}: ${error.message}`);
+    }
+  }
+
+  // fetch() for HttpClient: records real responses, or replays saved ones
+  // as Response objects. Unrecorded URLs get a 404 on replay.
+  async fetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (this.recording) {
+      const response = await fetch(url, options);
+      await this.save(method, url, {
+        finalUrl: response.url || url,
+        status: response.status,
+        headers: pickHeaders(name => response.headers.get(name), response.headers.getSetCookie()),
+        body: await response.clone().text()
+      });
+      return response;
+    }
+
+    const fixture = await this.load(method, url);
+    const { status, headers, body } = fixture || missingResponse(method, url);
+    const responseHeaders = new Headers();
+    for (const [name, value] of Object.entries(headers)) {
+      [].concat(value).forEach(item => responseHeaders.append(name, item));
+    }
+
+    const response = new Response(status === 304 || status === 204 ? null : body, { status, headers: responseHeaders });
+    Object.defineProperty(response, 'url', { value: fixture ? fixture.finalUrl : url });
+    return response;
+  }
+
+  // Record a browser tab's responses, or answer its requests from the fixtures
+  async attach(page) {
+    if (this.recording) {
+      page.on('response', response => {
+        this.recordBrowserResponse(response).catch(error => {
+          console.warn(`⚠️ Failed to record fixture for ${response.url()}: ${error.message}`);
+        });
+      });
+      return;
+    }
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      this.replayBrowserRequest(request).catch(error => {
+        console.warn(`⚠️ Fixture replay failed for ${request.url()}: ${error.message}`);
+      });
+    });
+  }
+
+  async replayBrowserRequest(request) {
+    const url = request.url();
+    if (url.startsWith('data:')) {
+      return request.continue();
+    }
+    if (!RECORDED_RESOURCE_TYPES.has(request.resourceType())) {
+      return request.abort();
+    }
+
+    const method = request.method();
+    const { status, headers, body } = (await this.load(method, url)) || missingResponse(method, url);
+    return request.respond({
+      status,
+      headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, [].concat(value).join('\n')])),
+      body
+    });
+  }
+
+  async recordBrowserResponse(response) {
+    const request = response.request();
+    if (!RECORDED_RESOURCE_TYPES.has(request.resourceType()) || response.url().startsWith('data:')) {
+      return;
+    }
+
+    const headers = response.headers();
+    const setCookies = headers['set-cookie'] ? headers['set-cookie'].split('\n') : [];
+    const isRedirect = response.status() >= 300 && response.status() < 400;
+
+    await this.save(request.method(), request.url(), {
+      finalUrl: response.url(),
+      status: response.status(),
+      headers: pickHeaders(name => headers[name], setCookies),
+      // Redirects have no body to read
+      body: isRedirect ? '' : await response.text()
+    });
+  }
+}
+
+function pickHeaders(get, setCookies = []) {
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = get(name);
+    if (value) {
+      headers[name] = value;
+    }
+  }
+  if (setCookies.length > 0) {
+    headers['set-cookie'] = setCookies;
+  }
+  return headers;
+}
+
+function missingResponse(method, url) {
+  return {
+    status: 404,
+    headers: { 'content-type': 'text/plain; charset=utf-8' },
+    body: `No fixture recorded for ${method} ${url}`
+  };
+}
+
+module.exports = { FixtureStore };
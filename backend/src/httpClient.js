@@ -0,0 +1,152 @@
+const { parseHTML } = require('linkedom');
+
+// Minimal HTTP client for the fetch-based scraping mode
+// Keeps a cookie jar so logins carry over between requests, and parses
+// responses into a DOM document so source adapters can run the same
+// extraction code they use inside Puppeteer.
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; QuoteFetcher/1.0)';
+
+class HttpClient {
+  // fixtures: FixtureStore that records or replays every request (see fixtures.js)
+  constructor({ timeout = 30000, userAgent = DEFAULT_USER_AGENT, fixtures = null } = {}) {
+    this.timeout = timeout;
+    this.userAgent = userAgent;
+    this.fixtures = fixtures;
+    this.cookies = new Map(); // Cookie name -> value
+  }
+
+  async request(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const init = {
+        ...options,
+        signal: controller.signal,
+        headers: {
+          'User-Agent': this.userAgent,
+          ...(this.cookies.size > 0 ? { Cookie: this.cookieHeader() } : {}),
+          ...options.headers
+        }
+      };
+      const response = this.fixtures ? await this.fixtures.fetch(url, init) : await fetch(url, init);
+
+      this.storeCookies(response);
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Match Puppeteer's error name so timeout accounting treats both modes alike
+        const timeoutError = new Error(`Navigation timeout of ${this.timeout} ms exceeded: ${url}`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // GET a page and parse it into a DOM document
+  async fetchDocument(url) {
+    const response = await this.request(url);
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} fetching ${url}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const html = await response.text();
+    return {
+      document: parseHTML(html).document,
+      url: response.url || url
+    };
+  }
+
+  // GET a JSON document, such as the API behind an infinite-scroll listing
+  async fetchJson(url) {
+    const response = await this.request(url, { headers: { Accept: 'application/json' } });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} fetching ${url}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  // Submit the first form on a page with the given field values, following redirects manually
+  // so that cookies set on the redirect response are kept
+  async submitForm(pageUrl, values) {
+    const { document, url } = await this.fetchDocument(pageUrl);
+    const form = document.querySelector('form');
+
+    if (!form) {
+      return null;
+    }
+
+    const body = new URLSearchParams();
+    form.querySelectorAll('input[name]').forEach(input => {
+      const type = (input.getAttribute('type') || '').toLowerCase();
+      if (type !== 'submit') {
+        body.set(input.getAttribute('name'), input.getAttribute('value') || '');
+      }
+    });
+    Object.entries(values).forEach(([name, value]) => body.set(name, value));
+
+    const action = new URL(form.getAttribute('action') || url, url).href;
+    let response = await this.request(action, {
+      method: (form.getAttribute('method') || 'POST').toUpperCase(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString(),
+      redirect: 'manual'
+    });
+
+    let location = response.headers.get('location');
+    let finalUrl = action;
+    while (location && response.status >= 300 && response.status < 400) {
+      finalUrl = new URL(location, finalUrl).href;
+      response = await this.request(finalUrl, { redirect: 'manual' });
+      location = response.headers.get('location');
+    }
+
+    const html = await response.text();
+    return {
+      document: parseHTML(html).document,
+      url: finalUrl
+    };
+  }
+
+  storeCookies(response) {
+    const setCookies = typeof response.headers.getSetCookie === 'function'
+      ? response.headers.getSetCookie()
+      : [response.headers.get('set-cookie')].filter(Boolean);
+
+    setCookies.forEach(cookie => {
+      const [pair] = cookie.split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        this.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    });
+  }
+
+  // Cookies as [{ name, value }], the shape Puppeteer uses, for saving a session
+  exportCookies() {
+    return Array.from(this.cookies.entries()).map(([name, value]) => ({ name, value }));
+  }
+
+  importCookies(cookies) {
+    cookies.forEach(({ name, value }) => this.cookies.set(name, value));
+  }
+
+  cookieHeader() {
+    return Array.from(this.cookies.entries())
+      .map(([name, value]) => `${name}=${value}`)
+      .join('; ');
+  }
+}
+
+module.exports = HttpClient;
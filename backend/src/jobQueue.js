@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { RateLimitError, toApiError } = require('./errors');
+
+// Background scrape jobs
+// Jobs run inside this process, `concurrency` at a time in the order they
+// were submitted. Every job is saved to the store whenever it moves forward,
+// so its status and results outlive the process: jobs that were queued or
+// running when it stopped are queued again on the next start and resume from
+// their last checkpoint. Finished jobs are forgotten after the store's TTL.
+//
+// Statuses: queued -> running -> completed | failed | cancelled
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobQueue {
+  // run(job, context) does the work; see start() for the context it gets
+  constructor({ store, run, concurrency = 1, maxQueued = 50 }) {
+    this.store = store; // CacheStore for job records
+    this.run = run;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.jobs = new Map(); // Job id -> job
+    this.queue = []; // Ids of queued jobs, oldest first
+    this.running = new Map(); // Job id -> AbortController
+    this.restoring = null;
+  }
+
+  // Load saved jobs once, requeueing unfinished ones
+  ready() {
+    if (!this.restoring) {
+      this.restoring = this.restore();
+    }
+    return this.restoring;
+  }
+
+  async restore() {
+    const entries = await this.store.list('jobs');
+    const resumed = [];
+
+    for (const { key, value: job, fresh } of entries) {
+      if (FINISHED.has(job.status)) {
+        if (fresh) {
+          this.jobs.set(job.id, job);
+        } else {
+          await this.store.delete(key);
+        }
+        continue;
+      }
+
+      job.status = 'queued';
+      job.progress = { ...job.progress, stage: 'queued', message: 'Resuming after restart...' };
+      this.jobs.set(job.id, job);
+      resumed.push(job);
+    }
+
+    resumed.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    this.queue.push(...resumed.map(job => job.id));
+    if (resumed.length > 0) {
+      console.log(`📋 Resuming ${resumed.length} unfinished scrape ${resumed.length === 1 ? 'job' : 'jobs'}`);
+    }
+    this.drain();
+  }
+
+  async submit(type, params) {
+    await this.ready();
+
+    if (this.queue.length >= this.maxQueued) {
+      throw new RateLimitError('Job queue is full, try again later', { scope: 'jobs', limit: this.maxQueued, retryAfter: 30 });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      progress: { stage: 'queued', message: 'Waiting to start...', percent: 0, quotes: 0 },
+      quotes: [],
+      failures: [], // { code, message, details } per page that couldn't be loaded
+      checkpoint: null, // Where the runner resumes, e.g. { cursor } or { page }
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    await this.save(job);
+    console.log(`📋 Queued ${type} job ${job.id}`);
+    this.drain();
+    return job;
+  }
+
+  // Resolves to the job, or null when it's unknown or has expired
+  async get(id) {
+    await this.ready();
+    await this.evictExpired();
+    return this.jobs.get(id) || null;
+  }
+
+  // Cancel a queued or running job. A running job stops at its next
+  // checkpoint and keeps the quotes it collected. Finished jobs are left alone.
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      await this.finish(job, 'cancelled');
+    } else if (job.status === 'running') {
+      job.progress = { ...job.progress, stage: 'cancelling', message: 'Cancelling...' };
+      this.running.get(id).abort();
+    }
+    return job;
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      this.start(this.jobs.get(this.queue.shift()));
+    }
+  }
+
+  async start(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.progress = { ...job.progress, stage: 'start', message: job.checkpoint ? 'Resuming...' : 'Starting...' };
+
+    // What runners get to report progress and record results
+    const context = {
+      signal: controller.signal,
+      resumeFrom: job.checkpoint, // The last checkpoint saved before a restart, or null
+      // Scraper progress events ({ stage, message }), shown until the next checkpoint
+      onProgress: ({ stage, message }) => {
+        job.progress = { ...job.progress, stage, message };
+      },
+      // Record newly found quotes, failed pages and where to resume, then save.
+      // Quotes the job already has are skipped.
+      checkpoint: async ({ quotes = [], failures = [], checkpoint, percent = null, message }) => {
+        const seen = new Set(job.quotes.map(quote => quote.id));
+        job.quotes.push(...quotes.filter(quote => !seen.has(quote.id)));
+        job.failures.push(...failures.map(failure => ({ code: failure.code, message: failure.message, details: failure.details })));
+        job.checkpoint = checkpoint;
+        job.progress = { stage: 'checkpoint', message, percent, quotes: job.quotes.length };
+        await this.save(job);
+      },
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) {
+          throw new JobCancelledError();
+        }
+      }
+    };
+
+    try {
+      await this.save(job);
+      await this.run(job, context);
+      await this.finish(job, 'completed');
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        await this.finish(job, 'cancelled');
+      } else {
+        const apiError = toApiError(error);
+        console.error(`❌ ${job.type} job ${job.id} failed:`, error);
+        job.error = { code: apiError.code, message: apiError.message };
+        await this.finish(job, 'failed');
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  async finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    const messages = {
+      completed: `Done: ${job.quotes.length} quotes`,
+      failed: `Failed: ${job.error?.message}`,
+      cancelled: `Cancelled with ${job.quotes.length} quotes`
+    };
+    job.progress = {
+      ...job.progress,
+      stage: status,
+      message: messages[status],
+      percent: status === 'completed' ? 100 : job.progress.percent,
+      quotes: job.quotes.length
+    };
+    await this.save(job);
+    console.log(`📋 ${job.type} job ${job.id} ${status} with ${job.quotes.length} quotes`);
+  }
+
+  async save(job) {
+    await this.store.set(`jobs/${job.id}`, job);
+  }
+
+  // Drop finished jobs older than the store's TTL from memory and disk
+  async evictExpired() {
+    const cutoff = Date.now() - this.store.ttlMs;
+    for (const job of this.jobs.values()) {
+      if (FINISHED.has(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        await this.store.delete(`jobs/${job.id}`);
+      }
+    }
+  }
+
+  // Public view of a job, without its quotes and internal checkpoint
+  summary(job) {
+    const { quotes, failures, checkpoint, ...rest } = job;
+    return rest;
+  }
+}
+
+module.exports = { JobQueue, JobCancelledError };
@@ -0,0 +1,88 @@
+const { decodeCursor } = require('./pagination');
+const { matchesFilters } = require('./search');
+const { MAX_PAGE_NUMBER } = require('./schemas');
+
+// Runners for the scrape jobs accepted by POST /api/jobs (see jobQueue.js)
+// Each one works through the source a chunk at a time and checkpoints after
+// every chunk, so a job's partial results can be read while it runs and a job
+// interrupted by a restart resumes where it stopped instead of starting over.
+
+const LISTING_CHUNK_SIZE = 50; // Quotes per paginateQuotes call, about five listing pages
+
+const percentOf = (done, total) => total > 0 ? Math.min(100, Math.round(done / total * 100)) : null;
+
+// Walk a source's listing from `offset`, keeping quotes that pass `keep`
+// until `count` have been collected (or the listing ends)
+async function walkListing(scraper, job, context, { offset = 0, count = Infinity, keep = () => true }) {
+  const { source } = job.params;
+  if (context.resumeFrom && !context.resumeFrom.cursor) {
+    return; // Stopped after reaching the end of the listing
+  }
+  let cursor = context.resumeFrom?.cursor ? decodeCursor(context.resumeFrom.cursor) : null;
+  let scanned = context.resumeFrom?.scanned || 0;
+
+  while (job.quotes.length < count) {
+    context.throwIfCancelled();
+
+    const listing = await scraper.paginateQuotes({
+      offset,
+      cursor,
+      limit: Math.min(LISTING_CHUNK_SIZE, count - job.quotes.length),
+      source,
+      onProgress: context.onProgress
+    });
+    scanned += listing.quotes.length;
+
+    const matches = listing.quotes.filter(keep).slice(0, count - job.quotes.length);
+    await context.checkpoint({
+      quotes: matches,
+      failures: listing.failures,
+      checkpoint: { cursor: listing.nextCursor, scanned },
+      percent: Number.isFinite(count)
+        ? percentOf(job.quotes.length + matches.length, count)
+        : percentOf(scanned, listing.total),
+      message: `Scanned ${scanned} of ${listing.total} quotes`
+    });
+
+    // A short window means a page failed; its error is recorded and the job ends there
+    if (!listing.hasMore || listing.failures.length > 0) {
+      break;
+    }
+    cursor = decodeCursor(listing.nextCursor);
+  }
+}
+
+async function runTagJob(scraper, job, context) {
+  const { tag, source } = job.params;
+
+  for (let page = context.resumeFrom?.page || 1; page <= MAX_PAGE_NUMBER; page++) {
+    context.throwIfCancelled();
+    context.onProgress({ stage: 'navigate', message: `Fetching page #${page} of tag "${tag}"...` });
+
+    const { quotes, hasMore } = await scraper.fetchTagQuotes(tag, page, source);
+    await context.checkpoint({
+      quotes,
+      checkpoint: { page: page + 1 },
+      message: `Fetched ${page} ${page === 1 ? 'page' : 'pages'} of tag "${tag}"`
+    });
+
+    if (!hasMore) {
+      break;
+    }
+  }
+}
+
+const JOB_RUNNERS = {
+  bulk: (scraper, job, context) => walkListing(scraper, job, context, { offset: job.params.offset, count: job.params.count }),
+  all: (scraper, job, context) => walkListing(scraper, job, context, {}),
+  tag: runTagJob,
+  author: (scraper, job, context) => walkListing(scraper, job, context, {
+    keep: quote => matchesFilters(quote, { author: job.params.author })
+  })
+};
+
+function runJob(scraper, job, context) {
+  return JOB_RUNNERS[job.type](scraper, job, context);
+}
+
+module.exports = { runJob };
@@ -0,0 +1,162 @@
+// Scraper metrics collection
+// Counters are kept in memory and exposed both as JSON (/api/stats)
+// and in the Prometheus text exposition format (/metrics)
+
+class ScraperMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.reset();
+  }
+
+  reset() {
+    this.pagesFetched = 0;
+    this.pageFailures = 0;
+    this.cacheHits = 0;
+    this.cacheStaleHits = 0;
+    this.cacheMisses = 0;
+    this.coalescedFetches = 0;
+    this.pagesPrefetched = 0;
+    this.navigationTimeouts = 0;
+    this.loginAttempts = 0;
+    this.loginFailures = 0;
+    this.browserCrashes = 0;
+    this.browserRelaunches = 0;
+    this.totalPageLatencyMs = 0;
+    this.pageTimings = new Map(); // Page cache key -> latest fetch timing
+  }
+
+  // Stale hits are served from cache while a refresh runs in the background
+  recordCacheHit(stale = false) {
+    this.cacheHits++;
+    if (stale) {
+      this.cacheStaleHits++;
+    }
+  }
+
+  recordCacheMiss() {
+    this.cacheMisses++;
+  }
+
+  // A page request that joined a scrape of the same page already under way
+  recordCoalescedFetch() {
+    this.coalescedFetches++;
+  }
+
+  recordPrefetch() {
+    this.pagesPrefetched++;
+  }
+
+  recordPageFetch(pageNum, durationMs, quoteCount) {
+    this.pagesFetched++;
+    this.totalPageLatencyMs += durationMs;
+    this.pageTimings.set(pageNum, {
+      durationMs,
+      quoteCount,
+      fetchedAt: new Date().toISOString()
+    });
+  }
+
+  recordPageFailure(error) {
+    this.pageFailures++;
+    if (isTimeoutError(error)) {
+      this.navigationTimeouts++;
+    }
+  }
+
+  recordNavigationTimeout() {
+    this.navigationTimeouts++;
+  }
+
+  recordLoginAttempt(succeeded) {
+    this.loginAttempts++;
+    if (!succeeded) {
+      this.loginFailures++;
+    }
+  }
+
+  recordBrowserCrash() {
+    this.browserCrashes++;
+  }
+
+  recordBrowserRelaunch() {
+    this.browserRelaunches++;
+  }
+
+  get averagePageLatencyMs() {
+    return this.pagesFetched > 0 ? Math.round(this.totalPageLatencyMs / this.pagesFetched) : 0;
+  }
+
+  get cacheHitRate() {
+    const lookups = this.cacheHits + this.cacheMisses;
+    return lookups > 0 ? this.cacheHits / lookups : 0;
+  }
+
+  toJSON() {
+    return {
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      pagesFetched: this.pagesFetched,
+      pageFailures: this.pageFailures,
+      navigationTimeouts: this.navigationTimeouts,
+      loginAttempts: this.loginAttempts,
+      loginFailures: this.loginFailures,
+      browserCrashes: this.browserCrashes,
+      browserRelaunches: this.browserRelaunches,
+      averagePageLatencyMs: this.averagePageLatencyMs,
+      cache: {
+        hits: this.cacheHits,
+        staleHits: this.cacheStaleHits,
+        misses: this.cacheMisses,
+        coalesced: this.coalescedFetches,
+        prefetched: this.pagesPrefetched,
+        hitRate: Number(this.cacheHitRate.toFixed(3))
+      },
+      pageTimings: Object.fromEntries(this.pageTimings)
+    };
+  }
+
+  // Render counters in the Prometheus text exposition format (version 0.0.4)
+  toPrometheus(gauges = {}) {
+    const lines = [];
+    const metric = (name, type, help, value, labels = '') => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      lines.push(`${name}${labels} ${value}`);
+    };
+
+    metric('quote_scraper_pages_fetched_total', 'counter', 'Listing pages fetched from the source site', this.pagesFetched);
+    metric('quote_scraper_page_failures_total', 'counter', 'Listing page fetches that failed', this.pageFailures);
+    metric('quote_scraper_navigation_timeouts_total', 'counter', 'Page navigations that timed out', this.navigationTimeouts);
+    metric('quote_scraper_login_attempts_total', 'counter', 'Login attempts against the source site', this.loginAttempts);
+    metric('quote_scraper_login_failures_total', 'counter', 'Login attempts that did not succeed', this.loginFailures);
+    metric('quote_scraper_browser_crashes_total', 'counter', 'Times the browser disconnected unexpectedly', this.browserCrashes);
+    metric('quote_scraper_browser_relaunches_total', 'counter', 'Times the browser was relaunched after a crash', this.browserRelaunches);
+    metric('quote_scraper_page_cache_hits_total', 'counter', 'Page cache lookups that were served from cache', this.cacheHits);
+    metric('quote_scraper_page_cache_stale_hits_total', 'counter', 'Page cache hits served stale while revalidating', this.cacheStaleHits);
+    metric('quote_scraper_page_cache_misses_total', 'counter', 'Page cache lookups that required a fetch', this.cacheMisses);
+    metric('quote_scraper_page_fetches_coalesced_total', 'counter', 'Page requests served by joining a fetch already in flight', this.coalescedFetches);
+    metric('quote_scraper_pages_prefetched_total', 'counter', 'Listing pages fetched ahead of /paginated requests', this.pagesPrefetched);
+
+    lines.push('# HELP quote_scraper_page_latency_seconds Time spent fetching listing pages');
+    lines.push('# TYPE quote_scraper_page_latency_seconds summary');
+    lines.push(`quote_scraper_page_latency_seconds_sum ${this.totalPageLatencyMs / 1000}`);
+    lines.push(`quote_scraper_page_latency_seconds_count ${this.pagesFetched}`);
+
+    metric('quote_scraper_uptime_seconds', 'gauge', 'Seconds since the scraper metrics were created', Math.round((Date.now() - this.startedAt) / 1000));
+
+    Object.entries(gauges).forEach(([name, { help, value }]) => {
+      metric(`quote_scraper_${name}`, 'gauge', help, Number(value));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Puppeteer raises TimeoutError for navigation and selector timeouts
+function isTimeoutError(error) {
+  return !!error && (error.name === 'TimeoutError' || /timeout/i.test(error.message || ''));
+}
+
+module.exports = {
+  ScraperMetrics,
+  isTimeoutError
+};
@@ -0,0 +1,167 @@
+// Pool of reusable browser tabs
+// Every browser-mode scrape borrows a tab from here instead of opening its
+// own, so the number of open tabs never exceeds `size` no matter how many
+// API requests run at once. Callers beyond the limit wait in a FIFO queue.
+// Returned tabs are reset to about:blank and handed to the next caller;
+// tabs that crashed, were closed, or have served `maxUses` scrapes are
+// closed and replaced by fresh ones.
+
+const BLANK_URL = 'about:blank';
+
+// Errors Puppeteer raises when the tab (or its renderer) has gone away
+function isCrashError(error) {
+  return !!error && /Target closed|Session closed|Page crashed|detached Frame|Execution context was destroyed|Protocol error/i.test(error.message || '');
+}
+
+class PagePool {
+  // setupPage(page) prepares each new tab before it is handed out
+  constructor({ browser, size = 10, maxUses = 50, setupPage = null }) {
+    this.browser = browser;
+    this.setupPage = setupPage;
+    this.size = size;
+    this.maxUses = maxUses; // Recycle a tab after this many scrapes to keep memory in check
+    this.idle = []; // Tabs ready to hand out
+    this.inUse = new Set();
+    this.waiters = []; // Resolvers of callers queued for a tab
+    this.uses = new WeakMap(); // Tab -> scrapes served
+    this.crashed = new WeakSet(); // Tabs whose renderer crashed
+    this.opening = 0; // Tabs being created right now
+    this.closed = false;
+    this.created = 0;
+    this.recycled = 0;
+    this.discarded = 0;
+  }
+
+  get openCount() {
+    return this.idle.length + this.inUse.size + this.opening;
+  }
+
+  // Borrow a tab, waiting for one to be released when the pool is full
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Page pool is closed');
+    }
+
+    while (this.idle.length > 0) {
+      const page = this.idle.pop();
+      if (this.isUsable(page)) {
+        this.inUse.add(page);
+        return page;
+      }
+      this.discard(page);
+    }
+
+    if (this.openCount < this.size) {
+      return this.openPage();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  // Give a tab back. Broken tabs are closed and the next waiter gets a fresh one.
+  async release(page, { broken = false } = {}) {
+    if (!this.inUse.has(page)) {
+      return;
+    }
+
+    const uses = (this.uses.get(page) || 0) + 1;
+    this.uses.set(page, uses);
+
+    // The tab still counts as open while it is being reset
+    let reusable = !broken && uses < this.maxUses && this.isUsable(page);
+    if (reusable) {
+      reusable = await page.goto(BLANK_URL).then(() => true, () => false);
+    }
+    this.inUse.delete(page);
+
+    if (reusable && !this.closed) {
+      this.recycled++;
+      this.handOff(page);
+      return;
+    }
+
+    this.discard(page);
+    if (this.waiters.length > 0 && !this.closed) {
+      const waiter = this.waiters.shift();
+      this.openPage().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  // Run fn with a borrowed tab, always returning it to the pool
+  async withPage(fn) {
+    const page = await this.acquire();
+    let broken = false;
+    try {
+      return await fn(page);
+    } catch (error) {
+      broken = isCrashError(error);
+      throw error;
+    } finally {
+      await this.release(page, { broken });
+    }
+  }
+
+  async openPage() {
+    this.opening++;
+    try {
+      const page = await this.browser.newPage();
+      page.once('error', () => this.crashed.add(page)); // Emitted when the renderer crashes
+      if (this.setupPage) {
+        await this.setupPage(page);
+      }
+      this.created++;
+      this.inUse.add(page);
+      return page;
+    } finally {
+      this.opening--;
+    }
+  }
+
+  handOff(page) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      this.inUse.add(page);
+      waiter.resolve(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  isUsable(page) {
+    return !page.isClosed() && !this.crashed.has(page);
+  }
+
+  discard(page) {
+    this.discarded++;
+    if (!page.isClosed()) {
+      page.close().catch(() => {});
+    }
+  }
+
+  // Close every tab and fail anyone still waiting; used when the browser closes
+  async close() {
+    this.closed = true;
+    this.waiters.splice(0).forEach(waiter => waiter.reject(new Error('Page pool is closed')));
+    const pages = [...this.idle, ...this.inUse];
+    this.idle = [];
+    this.inUse.clear();
+    await Promise.all(pages.map(page => page.isClosed() ? null : page.close().catch(() => {})));
+  }
+
+  toJSON() {
+    return {
+      size: this.size,
+      open: this.openCount,
+      idle: this.idle.length,
+      inUse: this.inUse.size,
+      waiting: this.waiters.length,
+      created: this.created,
+      recycled: this.recycled,
+      discarded: this.discarded
+    };
+  }
+}
+
+module.exports = { PagePool, isCrashError };
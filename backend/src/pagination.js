@@ -0,0 +1,63 @@
+// Offset and cursor pagination over a source's listing pages
+// Pages don't all hold the same number of quotes, so positions are mapped
+// through the real per-page counts: a position is { page, index }, the
+// index-th quote (0-based) on a 1-based listing page. Cursors are that
+// position plus the source name, encoded as an opaque token, so walking a
+// listing with nextCursor returns every quote exactly once even if a page
+// turns out to hold a different number of quotes than the metadata said.
+
+function encodeCursor({ source, page, index }) {
+  return Buffer.from(JSON.stringify({ s: source, p: page, i: index })).toString('base64url');
+}
+
+// Resolves a token to { source, page, index }, or null when it isn't one of ours
+function decodeCursor(token) {
+  try {
+    const { s, p, i } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || !Number.isInteger(p) || p < 1 || !Number.isInteger(i) || i < 0) {
+      return null;
+    }
+    return { source: s, page: p, index: i };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Per-page quote counts from page metadata. Metadata written before the counts
+// were tracked only has the first pages' counts, so the rest use the average.
+function pageCountsFromMetadata(metadata) {
+  const totalPages = metadata?.totalPages || 0;
+  const counts = metadata?.pageCounts || metadata?.quotesPerPageCounts || [];
+  const fallback = metadata?.avgQuotesPerPage || 10;
+  return Array.from({ length: totalPages }, (_, i) => counts[i] ?? fallback);
+}
+
+function totalOf(counts) {
+  return counts.reduce((total, count) => total + count, 0);
+}
+
+// Position of the quote at a 0-based offset. Offsets past the end map to the
+// first position after the last page.
+function positionOfOffset(counts, offset) {
+  let remaining = offset;
+  for (let page = 1; page <= counts.length; page++) {
+    if (remaining < counts[page - 1]) {
+      return { page, index: remaining };
+    }
+    remaining -= counts[page - 1];
+  }
+  return { page: counts.length + 1, index: 0 };
+}
+
+function offsetOfPosition(counts, { page, index }) {
+  return totalOf(counts.slice(0, page - 1)) + index;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  pageCountsFromMetadata,
+  totalOf,
+  positionOfOffset,
+  offsetOfPosition
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Stable quote identifiers
+// A quote's id is a hash of its normalised text and author, so it stays the
+// same when the site reorders its listings, when the quote moves to another
+// page, and across sources that carry the same quote. Normalising ignores
+// case, surrounding quotation marks and whitespace differences.
+
+const ID_PATTERN = /^[0-9a-f]{16}$/;
+
+function normalizeForId(value) {
+  return String(value)
+    .normalize('NFKC')
+    .replace(/[“”"]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// 16 hex characters (64 bits) of a SHA-256 over author and text
+function quoteId({ text, author }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${normalizeForId(author)}\n${normalizeForId(text)}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function isQuoteId(value) {
+  return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+// Copy of a scraped quote carrying its stable id. Quotes scraped or cached
+// before ids were content hashes get theirs replaced.
+function withQuoteId(quote) {
+  return { ...quote, id: quoteId(quote) };
+}
+
+module.exports = {
+  quoteId,
+  isQuoteId,
+  withQuoteId
+};
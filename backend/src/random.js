@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// Seeded randomness for quote selection
+// A seed string always produces the same sequence, so a request that names
+// its seed gets the same quotes back every time. Random sessions remember
+// which quotes they've been served so that no quote repeats until every
+// quote of the source has been seen.
+
+const SESSION_TTL_MS = 60 * 60 * 1000; // Forget sessions idle for an hour
+const MAX_SESSIONS = 1000;
+
+// 32-bit FNV-1a hash of a string, used to turn seeds into generator state
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for shuffling. Returns a function
+// that yields floats in [0, 1) like Math.random.
+function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateSeed() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Fisher-Yates shuffle into a new array
+function shuffle(array, random = Math.random) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Weighted sampling without replacement (Efraimidis-Spirakis): each item gets
+// the key random()^(1/weight) and the highest keys win. Items with a weight of
+// 0 or less are never picked.
+function weightedSample(items, count, weightOf, random = Math.random) {
+  return items
+    .map(item => ({ item, weight: weightOf(item) }))
+    .filter(({ weight }) => weight > 0)
+    .map(({ item, weight }) => ({ item, key: Math.pow(random(), 1 / weight) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map(({ item }) => item);
+}
+
+// Quotes served per random session, keyed by session id and source
+class RandomSessionStore {
+  constructor({ ttlMs = SESSION_TTL_MS, maxSessions = MAX_SESSIONS } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map(); // key -> session (see get)
+  }
+
+  get(sessionId, sourceName) {
+    this.evictIdle();
+
+    const key = `${sourceName}:${sessionId}`;
+    let session = this.sessions.get(key);
+    if (!session) {
+      session = {
+        id: sessionId,
+        served: new Set(), // Quote keys served in the current cycle
+        authorCounts: new Map(), // Author -> quotes served to the session
+        requests: 0,
+        cycle: 1,
+        lastUsedAt: Date.now(),
+        queue: Promise.resolve()
+      };
+      this.sessions.set(key, session);
+
+      // Drop the least recently created session when over the limit
+      if (this.sessions.size > this.maxSessions) {
+        this.sessions.delete(this.sessions.keys().next().value);
+      }
+    }
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  // Run fn with the session, one request at a time, so concurrent requests
+  // in a session can't both pick the same unseen quotes
+  async withSession(sessionId, sourceName, fn) {
+    const session = this.get(sessionId, sourceName);
+    const run = session.queue.then(() => fn(session));
+    session.queue = run.catch(() => {});
+    return run;
+  }
+
+  evictIdle() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [key, session] of this.sessions) {
+      if (session.lastUsedAt < cutoff) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = {
+  createRandom,
+  generateSeed,
+  shuffle,
+  weightedSample,
+  RandomSessionStore
+};
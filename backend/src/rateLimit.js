@@ -0,0 +1,105 @@
+// Request throttling
+// TokenBucketLimiter gives every client (an API key or an IP address) a
+// bucket of `burst` tokens that refills at `perMinute` tokens a minute; each
+// request takes one token and is refused when the bucket is empty.
+// ConcurrencyLimiter caps how many scrape-heavy requests run at once, per
+// client and overall, so one client's crawl can't hog the browser. Both keep
+// their state in memory, so on Lambda the limits apply per container.
+
+const MAX_BUCKETS = 10000;
+
+class TokenBucketLimiter {
+  constructor({ perMinute = 60, burst = perMinute, maxBuckets = MAX_BUCKETS } = {}) {
+    this.perMinute = perMinute;
+    this.burst = burst;
+    this.maxBuckets = maxBuckets;
+    this.buckets = new Map(); // Client key -> { tokens, updatedAt }
+    this.limited = 0;
+  }
+
+  // Take a token for a client. perMinute and burst override the defaults for
+  // clients with their own quota. Returns the state to report in headers:
+  // { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+  take(key, { perMinute = this.perMinute, burst = this.burst } = {}) {
+    const now = Date.now();
+    const ratePerMs = perMinute / 60000;
+
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      // Re-insert so the map stays ordered by last use
+      this.buckets.delete(key);
+      bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+      bucket.updatedAt = now;
+    } else {
+      bucket = { tokens: burst, updatedAt: now };
+    }
+    this.buckets.set(key, bucket);
+
+    // Forget the least recently seen client when over the limit
+    if (this.buckets.size > this.maxBuckets) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    } else {
+      this.limited++;
+    }
+
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((burst - bucket.tokens) / ratePerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)
+    };
+  }
+
+  get size() {
+    return this.buckets.size;
+  }
+}
+
+class ConcurrencyLimiter {
+  constructor({ perClient = 2, total = 10 } = {}) {
+    this.perClient = perClient;
+    this.total = total;
+    this.running = new Map(); // Client key -> requests in progress
+    this.active = 0;
+    this.rejected = 0;
+  }
+
+  // Start a request for a client, returning a function that ends it, or null
+  // when the client or the server is already at its limit
+  tryAcquire(key, { perClient = this.perClient } = {}) {
+    const running = this.running.get(key) || 0;
+    if (running >= perClient || this.active >= this.total) {
+      this.rejected++;
+      return null;
+    }
+
+    this.running.set(key, running + 1);
+    this.active++;
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active--;
+      const remaining = this.running.get(key) - 1;
+      if (remaining > 0) {
+        this.running.set(key, remaining);
+      } else {
+        this.running.delete(key);
+      }
+    };
+  }
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  ConcurrencyLimiter
+};
@@ -0,0 +1,216 @@
+// In-process scheduler for background re-crawls
+// A schedule is either an interval ("30m", "6h", "1d") or a five-field cron
+// expression ("0 */6 * * *": minute, hour, day of month, month, day of week,
+// in the server's time zone) or one of @hourly, @daily, @weekly, @monthly.
+// Runs never overlap: the next one is scheduled when the current one ends.
+// The scheduler only lives as long as the process, so it isn't started on
+// Lambda; there a scheduled event calls the same run (see lambda.js).
+
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// setTimeout fires immediately for delays over ~24.8 days, so long waits are split
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Search this far ahead for a matching time before deciding there is none
+const MAX_CRON_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// "1-5", "*/15", "0,30" -> Set of the values the field matches
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${text}" in schedule`);
+    }
+    const [, star, first, last, step] = match;
+    const from = star ? min : Number(first);
+    const to = star ? max : last !== undefined ? Number(last) : step ? max : from;
+    const by = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw new Error(`${name} "${text}" in schedule is out of range ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+
+  if (name === 'day of week' && values.delete(7)) {
+    values.add(0);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = (CRON_ALIASES[expression] || expression).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid schedule "${expression}": expected an interval like 6h or a cron expression with 5 fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // As in cron, when both day fields are restricted a day matching either one runs
+  const anyDayOfMonth = parts[2].startsWith('*');
+  const anyDayOfWeek = parts[4].startsWith('*');
+  const dayMatches = time => {
+    const byMonthDay = dayOfMonth.has(time.getDate());
+    const byWeekDay = dayOfWeek.has(time.getDay());
+    if (anyDayOfMonth || anyDayOfWeek) {
+      return byMonthDay && byWeekDay;
+    }
+    return byMonthDay || byWeekDay;
+  };
+
+  // First matching minute after `from`, or null when there is none
+  return from => {
+    const time = new Date(from.getTime());
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    while (time.getTime() - from.getTime() <= MAX_CRON_LOOKAHEAD_MS) {
+      if (!month.has(time.getMonth() + 1)) {
+        time.setMonth(time.getMonth() + 1, 1);
+        time.setHours(0, 0, 0, 0);
+      } else if (!dayMatches(time)) {
+        time.setDate(time.getDate() + 1);
+        time.setHours(0, 0, 0, 0);
+      } else if (!hour.has(time.getHours())) {
+        time.setHours(time.getHours() + 1, 0, 0, 0);
+      } else if (!minute.has(time.getMinutes())) {
+        time.setMinutes(time.getMinutes() + 1, 0, 0);
+      } else {
+        return time;
+      }
+    }
+    return null;
+  };
+}
+
+// Resolves a schedule to { expression, next(from) -> Date }
+function parseSchedule(expression) {
+  const text = expression.trim();
+  const interval = /^(\d+)\s*([mhd])$/i.exec(text);
+
+  if (interval) {
+    const everyMs = Number(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+    if (everyMs <= 0) {
+      throw new Error(`Invalid schedule "${expression}": the interval must be at least 1m`);
+    }
+    return { expression: text, next: from => new Date(from.getTime() + everyMs) };
+  }
+
+  const next = parseCron(text);
+  if (!next(new Date())) {
+    throw new Error(`Invalid schedule "${expression}": it never matches a date`);
+  }
+  return { expression: text, next };
+}
+
+class RecrawlScheduler {
+  // run() does one re-crawl; schedule may be null to only run on demand
+  constructor({ schedule = null, run }) {
+    this.schedule = schedule ? parseSchedule(schedule) : null;
+    this.run = run;
+    this.timer = null;
+    this.running = null; // Promise of the run in progress
+    this.nextRunAt = null;
+    this.lastRunAt = null;
+    this.lastFinishedAt = null;
+    this.lastError = null;
+    this.runs = 0;
+  }
+
+  start() {
+    if (!this.schedule || this.timer) {
+      return;
+    }
+    this.scheduleNext();
+    console.log(`⏰ Re-crawl scheduled "${this.schedule.expression}", next run at ${this.nextRunAt.toISOString()}`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  scheduleNext() {
+    this.nextRunAt = this.schedule.next(new Date());
+    this.wait();
+  }
+
+  wait() {
+    const delay = Math.max(0, this.nextRunAt.getTime() - Date.now());
+    this.timer = setTimeout(() => {
+      if (Date.now() < this.nextRunAt.getTime()) {
+        return this.wait();
+      }
+      this.runNow().catch(() => {}).finally(() => {
+        if (this.timer) {
+          this.scheduleNext();
+        }
+      });
+    }, Math.min(delay, MAX_TIMER_MS));
+    // A pending re-crawl shouldn't keep the process alive on its own
+    this.timer.unref();
+  }
+
+  // Re-crawl now. A call while a run is in progress shares that run.
+  runNow() {
+    if (!this.running) {
+      this.running = this.execute().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async execute() {
+    this.lastRunAt = new Date();
+    this.runs++;
+    console.log('⏰ Starting scheduled re-crawl...');
+
+    try {
+      const result = await this.run();
+      this.lastError = null;
+      return result;
+    } catch (error) {
+      console.error('❌ Scheduled re-crawl failed:', error);
+      this.lastError = error.message;
+      throw error;
+    } finally {
+      this.lastFinishedAt = new Date();
+    }
+  }
+
+  // Reported next to the change log by GET /api/changes
+  status() {
+    const iso = time => time ? time.toISOString() : null;
+    return {
+      schedule: this.schedule ? this.schedule.expression : null,
+      running: !!this.running,
+      nextRunAt: iso(this.nextRunAt),
+      lastRunAt: iso(this.lastRunAt),
+      lastFinishedAt: iso(this.lastFinishedAt),
+      lastError: this.lastError,
+      runs: this.runs
+    };
+  }
+}
+
+module.exports = { RecrawlScheduler, parseSchedule };
@@ -1,13 +1,17 @@
 const { z } = require('zod');
 
+// Highest listing or tag page a quote may come from; tag jobs stop here too
+const MAX_PAGE_NUMBER = 100;
+
 // Quote schema for validation
 const QuoteSchema = z.object({
+  id: z.string().min(1), // Content hash of text and author, stable across reorders (see quoteId.js)
   text: z.string().min(1, "Quote text is required"),
   author: z.string().min(1, "Author is required"),
   tags: z.array(z.string()).optional().default([]),
   sourceUrl: z.string().url("Valid source URL is required"),
   goodreadsUrl: z.string().url("Valid Goodreads URL is required").optional(),
-  pageNumber: z.number().int().min(1).max(50),
+  pageNumber: z.number().int().min(1).max(MAX_PAGE_NUMBER),
   quoteIndex: z.number().int().min(0)
 });
 
@@ -15,15 +19,63 @@ const QuoteSchema = z.object({
 const AuthorSchema = z.object({
   name: z.string().min(1, "Author name is required"),
   aboutUrl: z.string().url("Valid about URL is required"),
+  slug: z.string().min(1).optional(), // Path segment of the author page, e.g. "Albert-Einstein"
+  bornDate: z.string().optional(),
+  bornLocation: z.string().optional(),
+  description: z.string().optional(),
   quotes: z.array(z.string()).optional() // Array of quote IDs
 });
 
+// Author listing entry
+const AuthorSummarySchema = AuthorSchema.extend({
+  slug: z.string().min(1),
+  quoteCount: z.number().int().min(0)
+});
+
+// Author biography plus every known quote by the author
+const AuthorProfileSchema = AuthorSchema.extend({
+  slug: z.string().min(1),
+  quotes: z.array(QuoteSchema),
+  fetchedAt: z.string().optional()
+});
+
 // Tag schema
 const TagSchema = z.object({
   name: z.string().min(1, "Tag name is required"),
   quotes: z.array(z.string()).optional() // Array of quote IDs
 });
 
+// Tag listing entry
+const TagSummarySchema = TagSchema.extend({
+  count: z.number().int().min(0), // Collected quotes carrying the tag
+  topRank: z.number().int().min(1).optional(), // Position in the site's top tags cloud
+  url: z.string().url()
+});
+
+// Tag names and author slugs end up in cache keys and upstream URLs, so they
+// are held to the characters the site itself uses for them
+const urlSlug = z.string().regex(/^[A-Za-z0-9-]+$/, 'Expected letters, digits and hyphens');
+
+const TagParamsSchema = z.object({
+  tag: urlSlug
+});
+
+const AuthorParamsSchema = z.object({
+  slug: urlSlug
+});
+
+const TagQuotesQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).max(MAX_PAGE_NUMBER).default(1),
+  source: z.string().min(1).optional()
+});
+
+const PaginatedQuotesQuerySchema = z.object({
+  offset: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().min(1).optional(), // nextCursor from a previous page; takes precedence over offset
+  source: z.string().min(1).optional()
+});
+
 // API Response schemas
 const QuoteResponseSchema = z.object({
   success: z.boolean(),
@@ -33,22 +85,161 @@ const QuoteResponseSchema = z.object({
 });
 
 const BulkQuoteRequestSchema = z.object({
-  count: z.number().int().min(1).max(300, "Maximum 300 quotes per request")
+  count: z.number().int().min(1).max(300, "Maximum 300 quotes per request"),
+  source: z.string().min(1).optional() // Quote source adapter name
 });
 
+// Query string lists may arrive as "a,b" or as repeated parameters
+const queryList = value => value === undefined ? [] : [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Quote constraints shared by the endpoints that filter the corpus (see search.matchesFilters)
+const quoteFilterFields = {
+  tags: z.preprocess(queryList, z.array(z.string())),
+  tagMatch: z.enum(['any', 'all']).default('all'),
+  author: z.string().trim().optional().default(''), // Case-insensitive author name match
+  minLength: z.coerce.number().int().min(0).optional(), // Characters of quote text
+  maxLength: z.coerce.number().int().min(1).optional(),
+  excludeIds: z.preprocess(queryList, z.array(z.string())) // Quote ids or source URLs to leave out
+};
+
+const lengthRangeIsValid = [
+  ({ minLength, maxLength }) => minLength === undefined || maxLength === undefined || minLength <= maxLength,
+  { message: 'minLength must not exceed maxLength', path: ['minLength'] }
+];
+
+const RandomQuoteRequestSchema = BulkQuoteRequestSchema.extend({
+  seed: z.union([z.string().min(1).max(100), z.number()]).transform(String).optional(), // Same seed, same quotes
+  sessionId: z.string().min(1).max(100).optional(), // Quotes don't repeat within a session until all have been served
+  // Constraints; any of them makes the draw sample from the whole scraped corpus
+  ...quoteFilterFields,
+  // uniform: every match equally likely; lessSeenAuthors: favour authors served
+  // least so far (per session when one is given); rareAuthors: favour authors
+  // with few quotes in the corpus
+  weight: z.enum(['uniform', 'lessSeenAuthors', 'rareAuthors']).default('uniform')
+}).refine(...lengthRangeIsValid);
+
+// GET /api/quotes/export
+const QuoteExportQuerySchema = z.object({
+  format: z.enum(['csv', 'ndjson', 'md', 'jsonld']).default('csv'),
+  source: z.string().min(1).optional(),
+  ...quoteFilterFields
+}).refine(...lengthRangeIsValid);
+
 // Scraping configuration schema
 const ScrapingConfigSchema = z.object({
-  maxPages: z.number().int().min(1).max(10).default(10),
+  maxPages: z.number().int().min(1).max(MAX_PAGE_NUMBER).default(10),
   maxConcurrentTabs: z.number().int().min(1).max(20).default(10),
-  timeout: z.number().int().min(1000).default(30000)
+  timeout: z.number().int().min(1000).default(30000),
+  source: z.string().min(1).optional(), // Default quote source adapter name
+  mode: z.enum(['browser', 'http']).default('browser'), // Puppeteer or fetch + HTML parser
+  cacheDir: z.string().optional(), // Persistent cache directory; empty disables persistence
+  cacheTtlSeconds: z.number().int().min(0).default(21600),
+  prefetchPages: z.number().int().min(0).max(10).default(2), // Pages warmed past each /paginated window
+  sessionDir: z.string().optional(), // Where login session cookies are saved; empty keeps them in memory
+  fixturesDir: z.string().min(1).optional(), // Record or replay pages here instead of using the network
+  fixturesMode: z.enum(['record', 'replay']).default('replay')
+});
+
+const CacheRefreshRequestSchema = z.object({
+  source: z.string().min(1).optional(),
+  pages: z.array(z.number().int().min(1)).min(1).optional()
+});
+
+// Background scrape jobs (POST /api/jobs)
+const JobRequestSchema = z.discriminatedUnion('type', [
+  // The first `count` quotes of the listing from `offset`, like /api/quotes/bulk without its limit
+  z.object({
+    type: z.literal('bulk'),
+    count: z.number().int().min(1).max(5000, "Maximum 5000 quotes per job"),
+    offset: z.number().int().min(0).default(0),
+    source: z.string().min(1).optional()
+  }),
+  // Every quote of the source, like /api/quotes/all
+  z.object({
+    type: z.literal('all'),
+    source: z.string().min(1).optional()
+  }),
+  // Every page of a tag's listing
+  z.object({
+    type: z.literal('tag'),
+    tag: urlSlug,
+    source: z.string().min(1).optional()
+  }),
+  // Every quote whose author matches (case-insensitive), found by walking the whole listing
+  z.object({
+    type: z.literal('author'),
+    author: z.string().trim().min(1),
+    source: z.string().min(1).optional()
+  })
+]);
+
+const JobSchema = z.object({
+  id: z.string(),
+  type: z.enum(['bulk', 'all', 'tag', 'author']),
+  params: z.record(z.any()),
+  status: z.enum(['queued', 'running', 'completed', 'failed', 'cancelled']),
+  progress: z.object({
+    stage: z.string(),
+    message: z.string(),
+    percent: z.number().min(0).max(100).nullable(), // null when the amount of work isn't known up front
+    quotes: z.number().int() // Quotes collected so far
+  }),
+  error: z.object({ code: z.string(), message: z.string() }).nullable(),
+  createdAt: z.string(),
+  startedAt: z.string().nullable(),
+  finishedAt: z.string().nullable()
+});
+
+// GET /api/jobs/:id returns the quotes collected from `offset` on, so pollers
+// can ask only for the ones they haven't seen
+const JobResultsQuerySchema = z.object({
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// GET /api/changes filters. `since` takes an ISO timestamp, e.g. the
+// crawledAt of the newest entry a client has already seen.
+const ChangesQuerySchema = z.object({
+  source: z.string().min(1).optional(), // Defaults to every re-crawled source
+  since: z.string().datetime({ offset: true }).optional(),
+  changedOnly: z.enum(['true', 'false']).default('false').transform(value => value === 'true'),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+const QuoteSearchQuerySchema = z.object({
+  q: z.string().trim().optional().default(''), // Full-text query over quote text, author and tags
+  author: z.string().trim().optional().default(''), // Case-insensitive author name match
+  tags: z.preprocess(queryList, z.array(z.string())),
+  tagMatch: z.enum(['any', 'all']).default('all'),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  source: z.string().min(1).optional()
 });
 
 module.exports = {
+  MAX_PAGE_NUMBER,
   QuoteSchema,
   AuthorSchema,
+  AuthorSummarySchema,
+  AuthorProfileSchema,
   TagSchema,
+  TagSummarySchema,
+  TagParamsSchema,
+  AuthorParamsSchema,
+  TagQuotesQuerySchema,
   QuoteResponseSchema,
   BulkQuoteRequestSchema,
+  RandomQuoteRequestSchema,
+  CacheRefreshRequestSchema,
+  ChangesQuerySchema,
+  JobRequestSchema,
+  JobSchema,
+  JobResultsQuerySchema,
+  QuoteExportQuerySchema,
+  QuoteSearchQuerySchema,
+  PaginatedQuotesQuerySchema,
   ScrapingConfigSchema
 };
 
@@ -1,5 +1,19 @@
-const { QuoteSchema, ScrapingConfigSchema } = require('./schemas');
+const os = require('os');
+const path = require('path');
+const { QuoteSchema, AuthorSchema, AuthorSummarySchema, AuthorProfileSchema, TagSchema, TagSummarySchema, ScrapingConfigSchema } = require('./schemas');
+const { ScraperMetrics, isTimeoutError } = require('./metrics');
 require('dotenv').config();
+const { QuoteSource, getSource } = require('./sources');
+const HttpClient = require('./httpClient');
+const CacheStore = require('./cacheStore');
+const { searchQuotes, matchesFilters, hasFilters } = require('./search');
+const { createRandom, generateSeed, shuffle, weightedSample, RandomSessionStore } = require('./random');
+const { encodeCursor, pageCountsFromMetadata, totalOf, positionOfOffset, offsetOfPosition } = require('./pagination');
+const SessionManager = require('./sessionManager');
+const { quoteId, withQuoteId } = require('./quoteId');
+const { ScraperUnavailableError, toPageError } = require('./errors');
+const { PagePool } = require('./pagePool');
+const { FixtureStore } = require('./fixtures');
 
 // Dynamic imports for different environments
 let puppeteer, chromium;
@@ -7,34 +21,252 @@ let puppeteer, chromium;
 // Check if we're in Lambda environment
 const isLambda = process.env.IS_LAMBDA === 'true' || process.env.AWS_LAMBDA_FUNCTION_NAME;
 
-if (isLambda) {
-  // Lambda environment
-  puppeteer = require('puppeteer-core');
-  chromium = require('chrome-aws-lambda');
-} else {
-  // Local development environment
-  puppeteer = require('puppeteer');
+// Browser modules are only loaded in browser mode, so the HTTP mode
+// never pays for Chromium (or the chrome-aws-lambda layer) at all
+function loadBrowserModules() {
+  if (puppeteer) {
+    return;
+  }
+
+  if (isLambda) {
+    // Lambda environment
+    puppeteer = require('puppeteer-core');
+    chromium = require('chrome-aws-lambda');
+  } else {
+    // Local development environment
+    puppeteer = require('puppeteer');
+  }
 }
 
 // Login credentials from environment variables
 const QUOTES_USERNAME = process.env.QUOTES_USERNAME;
 const QUOTES_PASSWORD = process.env.QUOTES_PASSWORD;
-const QUOTES_LOGIN_URL = process.env.QUOTES_LOGIN_URL || 'https://quotes.toscrape.com/login';
+
+// Scraping mode: 'browser' (Puppeteer) or 'http' (fetch + HTML parser)
+const SCRAPER_MODE = process.env.SCRAPER_MODE || 'browser';
+
+// Offline fixtures (see fixtures.js): QUOTES_FIXTURES is the directory to
+// replay recorded pages from, or to record them into with QUOTES_FIXTURES_MODE=record
+const FIXTURES_DIR = process.env.QUOTES_FIXTURES || undefined;
+const FIXTURES_MODE = process.env.QUOTES_FIXTURES_MODE || 'replay';
+
+// Persistent cache location and freshness. Lambda can only write to /tmp;
+// set QUOTE_CACHE_DIR to an empty string to keep the cache in memory only.
+// With fixtures the cache stays in memory unless set, so pages cached by
+// earlier live runs can't stand in for the fixtures.
+const CACHE_DIR = process.env.QUOTE_CACHE_DIR ??
+  (FIXTURES_DIR ? '' : isLambda ? path.join(os.tmpdir(), 'quote-cache') : path.join(__dirname, '..', '.cache', 'quotes'));
+const CACHE_TTL_SECONDS = parseInt(process.env.QUOTE_CACHE_TTL_SECONDS) || 21600;
+
+// Cache store prefixes the scraper writes; clearing the cache removes only these
+const CACHE_PREFIXES = ['pages', 'metadata', 'authors', 'tags'];
+
+// Saved login sessions live apart from the page cache so clearing the cache keeps them
+const SESSION_DIR = process.env.QUOTE_SESSION_DIR ??
+  (FIXTURES_DIR ? '' : isLambda ? path.join(os.tmpdir(), 'quote-sessions') : path.join(__dirname, '..', '.cache', 'sessions'));
+
+// Relaunching a crashed browser: attempts per recovery and the first backoff delay (doubled per attempt)
+const BROWSER_RELAUNCH_ATTEMPTS = 5;
+const BROWSER_RELAUNCH_DELAY_MS = 1000;
+const BROWSER_RELAUNCH_MAX_DELAY_MS = 30000;
+
+// DOM helpers passed to evaluateDocument - these run in the browser in
+// browser mode, so they may only use their arguments and DOM APIs
+
+// Find the Goodreads link for one quote on a listing page
+function findQuoteGoodreadsLink(document, quoteText, selectors, pageUrl) {
+  // Find the quote by its text
+  const quotes = Array.from(document.querySelectorAll(selectors.quote));
+  const targetQuote = quotes.find(q => {
+    const text = q.querySelector(selectors.text);
+    return text && text.textContent.trim() === quoteText;
+  });
+  
+  if (!targetQuote) return null;
+  
+  // Look for the Goodreads page link in this quote
+  const links = Array.from(targetQuote.querySelectorAll('a'));
+  const goodreadsLink = links.find(link => 
+    link.textContent.trim() === 'Goodreads page' || 
+    (link.getAttribute('href') || '').includes('goodreads.com/author')
+  );
+  
+  return goodreadsLink ? new URL(goodreadsLink.getAttribute('href'), pageUrl).href : null;
+}
+
+// Find the best Goodreads link on an author page
+function findAuthorGoodreadsLink(document, pageUrl) {
+  // Helper function to get an absolute href from an element
+  const getHref = (element) => element ? new URL(element.getAttribute('href'), pageUrl).href : null;
+  const allAnchors = Array.from(document.querySelectorAll('a[href]'));
+  
+  // First, try to find the exact "Goodreads page" link text
+  const goodreadsPageLink = allAnchors.find(link => link.textContent.trim() === 'Goodreads page');
+  if (goodreadsPageLink) {
+    return getHref(goodreadsPageLink);
+  }
+  
+  // Next, look for links with href containing goodreads.com/author
+  const goodreadsAuthorLinks = Array.from(document.querySelectorAll('a[href*="goodreads.com/author"]'));
+  if (goodreadsAuthorLinks.length > 0) {
+    return getHref(goodreadsAuthorLinks[0]);
+  }
+  
+  // Try to find links that contain both "goodreads" and "author" in the URL
+  const allLinks = Array.from(document.querySelectorAll('a[href*="goodreads.com"]'));
+  const authorLink = allLinks.find(link => link.getAttribute('href').includes('/author/'));
+  if (authorLink) {
+    return getHref(authorLink);
+  }
+  
+  // If still not found, look for any Goodreads links
+  if (allLinks.length > 0) {
+    return getHref(allLinks[0]);
+  }
+  
+  // Last resort: look for any link with "goodreads" text
+  const goodreadsTextLink = allAnchors.find(link => 
+    link.textContent.toLowerCase().includes('goodreads')
+  );
+  
+  return getHref(goodreadsTextLink);
+}
+
+// Send a progress event to an optional listener; listener errors never break a scrape
+function reportProgress(onProgress, stage, message, detail = {}) {
+  if (!onProgress) {
+    return;
+  }
+
+  try {
+    onProgress({ stage, message, ...detail, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Progress listener failed:', error.message);
+  }
+}
+
+// Identity of a quote across pages and crawls
+const quoteKey = quote => `${quote.author}|${quote.text}`;
+
+// With every page of a request failed there is nothing to return, so the
+// request fails with the first page's error instead of an empty result
+function throwIfNothingLoaded(loadedPages, failures) {
+  if (loadedPages === 0 && failures.length > 0) {
+    throw failures[0];
+  }
+}
 
 class QuoteScraper {
   constructor(config = {}) {
-    this.config = ScrapingConfigSchema.parse(config);
+    this.config = ScrapingConfigSchema.parse({
+      mode: SCRAPER_MODE,
+      cacheDir: CACHE_DIR,
+      cacheTtlSeconds: CACHE_TTL_SECONDS,
+      sessionDir: SESSION_DIR,
+      fixturesDir: FIXTURES_DIR,
+      fixturesMode: FIXTURES_MODE,
+      ...config
+    });
     this.browser = null;
-    this.baseUrl = 'https://quotes.toscrape.com';
-    this.pageCache = new Map(); // Cache quotes by page number
-    this.pageMetadata = null; // Information about available pages
+    this.pages = null; // PagePool of browser tabs, capped at maxConcurrentTabs
+    this.http = null; // HttpClient used in 'http' mode
+    this.source = getSource(this.config.source); // Default quote source adapter
+    // Records or replays every page fetched, when fixtures are configured
+    this.fixtures = this.config.fixturesDir
+      ? new FixtureStore({ dir: this.config.fixturesDir, mode: this.config.fixturesMode })
+      : null;
+    this.pageCache = new Map(); // Cache quotes by source and page number: key -> { quotes, hasNext, fetchedAt }
+    this.authorProfiles = new Map(); // Author page details by source and slug: key -> { details, fetchedAt }
+    this.topTagsBySource = new Map(); // Source name -> top tag names, most popular first
+    this.cacheStore = new CacheStore({ dir: this.config.cacheDir, ttlSeconds: this.config.cacheTtlSeconds });
+    this.revalidating = new Set(); // Cache keys with a background refresh in flight
+    this.randomSessions = new RandomSessionStore(); // Quotes already served per random session
+    this.authorServes = new Map(); // Source name -> Map(author -> random quotes served), for lessSeenAuthors
+    this.inFlightPages = new Map(); // Page cache key -> promise of the scrape under way, shared by concurrent callers
+    this.metadataBySource = new Map(); // Information about available pages, per source
     this.quotesPerPage = 10; // Default quotes per page
-    this.maxPages = 10; // Default max pages
+    this.maxPages = this.config.maxPages; // Listing pages crawled at most (PUPPETEER_MAX_PAGES)
     this.isInitialized = false;
+    // Scraper lifecycle reported by /health: 'starting', 'ready', 'degraded'
+    // (browser crashed, relaunching) or 'failed' (could not start or recover)
+    this.state = 'starting';
+    this.lastError = null;
+    this.lastCrashAt = null;
+    this.relaunching = null; // Promise of the relaunch in progress
+    this.closing = false;
+    this.metrics = new ScraperMetrics();
+    this.session = new SessionManager({
+      source: this.source,
+      store: new CacheStore({ dir: this.config.sessionDir }),
+      metrics: this.metrics,
+      credentials: { username: QUOTES_USERNAME, password: QUOTES_PASSWORD },
+      authenticate: () => this.authenticate(),
+      cookieJar: {
+        export: () => this.exportCookies(),
+        import: cookies => this.importCookies(cookies)
+      }
+    });
+    this.quoteUrls = []; // Quote listing entries queued for scrapeQuotesInParallel
+    this.scrapedQuotes = []; // Deduplicated quotes from the last full crawl
+    this.scrapedSource = null; // Source name the last full crawl ran against
+    this.authorIndex = new Map(); // Author name -> AuthorSchema entry
+    this.tagIndex = new Map(); // Tag name -> TagSchema entry
+  }
+
+  get isHttpMode() {
+    return this.config.mode === 'http';
+  }
+
+  get isLoggedIn() {
+    return this.session.isLoggedIn;
+  }
+
+  async initialize({ onProgress = null } = {}) {
+    try {
+      if (this.fixtures) {
+        await this.fixtures.ready();
+      }
+
+      if (this.isHttpMode) {
+        console.log('🌐 Initializing HTTP scraping mode (no browser)...');
+        this.http = new HttpClient({ timeout: this.config.timeout, fixtures: this.fixtures });
+      } else {
+        await this.launchBrowser();
+      }
+
+      await this.startSession({ onProgress });
+
+      // Load basic metadata about available pages (from the persistent cache when fresh)
+      await this.loadPageMetadata();
+
+      this.isInitialized = true;
+      this.state = 'ready';
+      this.lastError = null;
+    } catch (error) {
+      this.state = 'failed';
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+
+  // Reuse a saved session, or log in if credentials are provided
+  async startSession({ onProgress = null, reason = 'startup' } = {}) {
+    if (!this.session.hasCredentials) {
+      return;
+    }
+
+    if (await this.session.restore()) {
+      reportProgress(onProgress, 'login', 'Reusing saved session...', { loggedIn: true, restored: true });
+    } else {
+      reportProgress(onProgress, 'login', 'Logging in...');
+      await this.login(reason);
+      reportProgress(onProgress, 'login', this.isLoggedIn ? 'Logged in.' : 'Login failed, continuing anonymously...', { loggedIn: this.isLoggedIn });
+    }
   }
 
-  async initialize() {
+  async launchBrowser() {
     console.log('🚀 Initializing Puppeteer browser...');
+    loadBrowserModules();
     
     if (isLambda) {
       // Lambda configuration
@@ -64,21 +296,198 @@ class QuoteScraper {
       });
       console.log('✅ Browser initialized for local development');
     }
-    
-    // Try to login if credentials are provided
-    if (QUOTES_USERNAME && QUOTES_PASSWORD) {
-      await this.login();
+
+    this.pages = new PagePool({
+      browser: this.browser,
+      size: this.config.maxConcurrentTabs,
+      setupPage: this.fixtures ? page => this.fixtures.attach(page) : null
+    });
+
+    const browser = this.browser;
+    browser.on('disconnected', () => this.handleBrowserDisconnect(browser));
+  }
+
+  // Chromium went away (crash, OOM kill): drop the dead handle and relaunch in the background
+  handleBrowserDisconnect(browser) {
+    if (this.closing || browser !== this.browser) {
+      return;
     }
-    
-    // Fetch basic metadata about available pages (lightweight operation)
-    await this.fetchPageMetadata();
-    
-    this.isInitialized = true;
+
+    console.error('💥 Browser disconnected unexpectedly');
+    this.metrics.recordBrowserCrash();
+    this.lastCrashAt = Date.now();
+    this.dropBrowser();
+
+    // A crash during a relaunch is picked up by the relaunch loop itself
+    if (!this.relaunching) {
+      this.startRelaunch();
+    }
+  }
+
+  dropBrowser() {
+    const { browser, pages } = this;
+    this.browser = null;
+    this.pages = null;
+    if (pages) {
+      pages.close().catch(() => {});
+    }
+    if (browser && browser.isConnected()) {
+      browser.close().catch(() => {});
+    }
+  }
+
+  startRelaunch() {
+    this.state = 'degraded';
+    this.relaunching = this.relaunchBrowser().finally(() => {
+      this.relaunching = null;
+    });
+    return this.relaunching;
+  }
+
+  // Relaunch with exponential backoff, then replay login and page metadata
+  // so the new browser picks up where the old one left off
+  async relaunchBrowser() {
+    for (let attempt = 1; attempt <= BROWSER_RELAUNCH_ATTEMPTS; attempt++) {
+      const delay = Math.min(BROWSER_RELAUNCH_DELAY_MS * 2 ** (attempt - 1), BROWSER_RELAUNCH_MAX_DELAY_MS);
+      console.log(`🔁 Relaunching browser in ${delay} ms (attempt ${attempt}/${BROWSER_RELAUNCH_ATTEMPTS})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (this.closing) {
+        return false;
+      }
+
+      try {
+        await this.launchBrowser();
+        this.metrics.recordBrowserRelaunch();
+        await this.startSession({ reason: 'relaunch' });
+        await this.loadPageMetadata();
+
+        if (!this.browser) {
+          throw new Error('Browser disconnected again during relaunch');
+        }
+
+        console.log('✅ Browser relaunched');
+        this.state = 'ready';
+        this.lastError = null;
+        return true;
+      } catch (error) {
+        console.error(`❌ Browser relaunch attempt ${attempt} failed:`, error.message);
+        this.lastError = error.message;
+        this.dropBrowser();
+      }
+    }
+
+    console.error(`❌ Giving up on the browser after ${BROWSER_RELAUNCH_ATTEMPTS} relaunch attempts`);
+    this.state = 'failed';
+    return false;
+  }
+
+  // Wait out a relaunch in progress. Once relaunching has given up, the next
+  // caller starts another round rather than failing forever.
+  async browserReady() {
+    if (this.relaunching) {
+      await this.relaunching;
+    }
+
+    if (!this.browser && !this.closing) {
+      await this.startRelaunch();
+    }
+
+    if (!this.browser) {
+      throw new ScraperUnavailableError('Browser is unavailable');
+    }
+  }
+
+  // Run fn with a tab from the pool once the browser is up
+  async withPage(fn) {
+    await this.browserReady();
+    return this.pages.withPage(fn);
+  }
+
+  // Page metadata for the default source
+  get pageMetadata() {
+    return this.metadataBySource.get(this.source.name) || null;
+  }
+
+  set pageMetadata(metadata) {
+    this.metadataBySource.set(this.source.name, metadata);
+  }
+
+  // Resolve a source name (or adapter) to an adapter, falling back to the default source
+  resolveSource(source) {
+    if (source instanceof QuoteSource) {
+      return source;
+    }
+    return source ? getSource(source) : this.source;
+  }
+
+  // Load page metadata the first time a non-default source is used
+  async ensurePageMetadata(source) {
+    if (!this.metadataBySource.has(source.name)) {
+      await this.loadPageMetadata(source);
+    }
+    return this.metadataBySource.get(source.name);
+  }
+
+  // Use persisted page metadata when available instead of clicking through
+  // every page on boot. Stale metadata is served and refreshed in the background.
+  async loadPageMetadata(source = this.source) {
+    const cached = await this.cacheStore.get(`metadata/${source.name}`);
+
+    if (!cached) {
+      return this.fetchPageMetadata(source);
+    }
+
+    console.log(`💾 Using ${cached.fresh ? 'cached' : 'stale'} page metadata for ${source.name}`);
+    this.metadataBySource.set(source.name, cached.value);
+
+    if (!cached.fresh) {
+      this.revalidateInBackground(`metadata:${source.name}`, () => this.fetchPageMetadata(source));
+    }
+    return cached.value;
+  }
+
+  // Run a refresh once per key, without making the caller wait for it
+  revalidateInBackground(key, refresh) {
+    if (this.revalidating.has(key)) {
+      return;
+    }
+
+    this.revalidating.add(key);
+    Promise.resolve()
+      .then(refresh)
+      .catch(error => console.error(`❌ Background refresh of ${key} failed:`, error.message))
+      .finally(() => this.revalidating.delete(key));
+  }
+
+  // Tag listings get their own keys so they never shadow the main listing pages
+  pageCacheKey(source, pageNum, tag = null) {
+    return tag ? `${source.name}:tag:${tag}:${pageNum}` : `${source.name}:${pageNum}`;
+  }
+  
+  // Walks a listing one page at a time with the source adapter's walker. By
+  // default that clicks "Next" in browser mode and follows the link over HTTP.
+  async createPageWalker(source) {
+    if (this.isHttpMode) {
+      return {
+        ...source.createHttpWalker(this.http),
+        close: async () => {}
+      };
+    }
+
+    // The walker keeps its tab for the whole walk and returns it to the pool on close
+    await this.browserReady();
+    const pages = this.pages;
+    const page = await pages.acquire();
+    return {
+      ...source.createBrowserWalker(page, { timeout: this.config.timeout }),
+      close: () => pages.release(page)
+    };
   }
   
-  async fetchPageMetadata() {
-    console.log('📊 Fetching page metadata by clicking through all pages...');
-    const page = await this.browser.newPage();
+  async fetchPageMetadata(source = this.source) {
+    console.log(`📊 Fetching page metadata for ${source.name} by clicking through all pages...`);
+    const walker = await this.createPageWalker(source);
     
     try {
       let currentPage = 1;
@@ -88,15 +497,10 @@ class QuoteScraper {
       let quotesPerPageCounts = [];
       
       // Start from page 1
-      await page.goto(`${this.baseUrl}/page/${currentPage}/`, { 
-        waitUntil: 'networkidle2',
-        timeout: this.config.timeout 
-      });
+      await walker.open(source.buildPageUrl(currentPage));
       
       // Get quotes per page from first page
-      const firstPageQuotes = await page.evaluate(() => {
-        return document.querySelectorAll('.quote').length;
-      });
+      const firstPageQuotes = await walker.countQuotes();
       
       quotesPerPageCounts.push(firstPageQuotes);
       minQuotesPerPage = Math.min(minQuotesPerPage, firstPageQuotes);
@@ -105,23 +509,13 @@ class QuoteScraper {
       
       // Iterate through pages until no "Next" button
       while (hasNextPage && currentPage < 20) { // Reduced limit for Lambda (was 50)
-        // Check if there's a "Next" button
-        const nextButton = await page.$('.pager .next a');
-        
-        if (nextButton) {
-          // Click the next button with optimized navigation
-          await Promise.all([
-            nextButton.click(),
-            page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }) // Faster navigation
-          ]);
-          
+        // Follow the "Next" button if there is one
+        if (await walker.next()) {
           currentPage++;
           totalPages = currentPage;
           
           // Count quotes on this page
-          const quotesOnThisPage = await page.evaluate(() => {
-            return document.querySelectorAll('.quote').length;
-          });
+          const quotesOnThisPage = await walker.countQuotes();
           
           quotesPerPageCounts.push(quotesOnThisPage);
           minQuotesPerPage = Math.min(minQuotesPerPage, quotesOnThisPage);
@@ -145,46 +539,92 @@ class QuoteScraper {
       
       // Calculate average quotes per page for estimation
       const avgQuotesPerPage = Math.round(quotesPerPageCounts.reduce((a, b) => a + b, 0) / quotesPerPageCounts.length);
+      const pageCounts = quotesPerPageCounts.slice(0, Math.min(totalPages, this.maxPages));
       
-      this.pageMetadata = {
+      const metadata = {
         totalPages: Math.min(totalPages, this.maxPages),
+        pageCounts: pageCounts, // Quotes on each page, used to map offsets to pages
+        totalQuotes: totalOf(pageCounts),
         quotesPerPage: minQuotesPerPage, // Use minimum as limiting factor
         avgQuotesPerPage: avgQuotesPerPage, // Average for estimation
         estimatedTotalQuotes: minQuotesPerPage * Math.min(totalPages, this.maxPages),
         quotesPerPageCounts: quotesPerPageCounts // Debug info
       };
+      this.metadataBySource.set(source.name, metadata);
+      await this.cacheStore.set(`metadata/${source.name}`, metadata);
       
-      console.log(`📊 Page analysis complete:`);
+      console.log(`📊 Page analysis complete for ${source.name}:`);
       console.log(`   - Total pages found: ${totalPages}`);
       console.log(`   - Quotes per page: ${quotesPerPageCounts.join(', ')}`);
       console.log(`   - Minimum quotes per page: ${minQuotesPerPage} (limiting factor)`);
       console.log(`   - Average quotes per page: ${avgQuotesPerPage}`);
-      console.log(`   - Estimated total quotes: ${this.pageMetadata.estimatedTotalQuotes}`);
+      console.log(`   - Estimated total quotes: ${metadata.estimatedTotalQuotes}`);
       
-      return this.pageMetadata;
+      return metadata;
       
     } catch (error) {
       console.error('❌ Error fetching page metadata:', error);
-      this.pageMetadata = { 
+      if (isTimeoutError(error)) {
+        this.metrics.recordNavigationTimeout();
+      }
+      const fallbackMetadata = { 
         totalPages: this.maxPages, 
         quotesPerPage: 10, 
         avgQuotesPerPage: 10,
         estimatedTotalQuotes: 100,
-        quotesPerPageCounts: [10]
+        quotesPerPageCounts: [10],
+        fallback: true // Guessed, not counted
       };
-      return this.pageMetadata;
+      this.metadataBySource.set(source.name, fallbackMetadata);
+      return fallbackMetadata;
     } finally {
-      await page.close();
+      await walker.close();
     }
   }
   
-  async login() {
-    console.log('🔑 Attempting to login...');
-    const page = await this.browser.newPage();
-    
-    try {
+  // Log in to the default source; the session manager keeps the outcome and saves the cookies
+  async login(reason = 'startup') {
+    return this.session.login(reason);
+  }
+
+  // Submit the login form: true/false for the outcome, null when there is nothing to log in to
+  async authenticate() {
+    if (!this.source.loginUrl) {
+      console.log(`⚠️ Source ${this.source.name} does not support login`);
+      return null;
+    }
+
+    return this.isHttpMode ? this.submitLoginOverHttp() : this.submitLoginInBrowser();
+  }
+
+  // Session cookies for the default source, in Puppeteer's cookie shape
+  async exportCookies() {
+    if (this.isHttpMode) {
+      return this.http.exportCookies();
+    }
+
+    return this.withPage(async page => {
+      return await page.cookies(this.source.baseUrl);
+    });
+  }
+
+  async importCookies(cookies) {
+    if (this.isHttpMode) {
+      this.http.importCookies(cookies);
+      return;
+    }
+
+    // Cookies saved in http mode have no domain, so scope them to the source
+    return this.withPage(async page => {
+      await page.setCookie(...cookies.map(cookie => cookie.domain ? cookie : { ...cookie, url: this.source.baseUrl }));
+    });
+  }
+
+  // Resolves to true/false for the login outcome, or null when there is no login form
+  async submitLoginInBrowser() {
+    return this.withPage(async page => {
       // Navigate to login page
-      await page.goto(QUOTES_LOGIN_URL, { 
+      await page.goto(this.source.loginUrl, { 
         waitUntil: 'networkidle2',
         timeout: this.config.timeout 
       });
@@ -192,8 +632,7 @@ class QuoteScraper {
       // Check if login form exists
       const loginFormExists = await page.$('form') !== null;
       if (!loginFormExists) {
-        console.log('⚠️ No login form found on the page');
-        return false;
+        return null;
       }
       
       // Fill in login form
@@ -207,218 +646,340 @@ class QuoteScraper {
       ]);
       
       // Check if login was successful
-      const isLoggedIn = await page.evaluate(() => {
+      return await page.evaluate(() => {
         // Check for elements that indicate successful login
         // This will depend on the website's structure
         return !document.querySelector('form input[name="username"]');
       });
-      
-      if (isLoggedIn) {
-        console.log('✅ Login successful');
-        this.isLoggedIn = true;
-      } else {
-        console.log('❌ Login failed');
-        this.isLoggedIn = false;
-      }
-      
-      return this.isLoggedIn;
-      
-    } catch (error) {
-      console.error('❌ Error during login:', error.message);
-      this.isLoggedIn = false;
-      return false;
-    } finally {
-      await page.close();
+    });
+  }
+
+  async submitLoginOverHttp() {
+    const result = await this.http.submitForm(this.source.loginUrl, {
+      username: QUOTES_USERNAME,
+      password: QUOTES_PASSWORD
+    });
+    
+    if (!result) {
+      return null;
     }
+    
+    return !result.document.querySelector('form input[name="username"]');
+  }
+
+  async fetchQuotesFromPage(pageNum, sourceName = null, options = {}) {
+    return (await this.fetchListingPage(pageNum, sourceName, options)).quotes;
   }
 
-  async fetchQuotesFromPage(pageNum) {
-    // Check if we already have this page cached
-    if (this.pageCache.has(pageNum)) {
-      console.log(`💾 Using cached quotes for page ${pageNum}`);
-      return this.pageCache.get(pageNum);
+  // Like fetchQuotesFromPage, but resolves to { quotes, hasNext }: whether the
+  // page links to a next one (null when that isn't known)
+  async fetchListingPage(pageNum, sourceName = null, { forceRefresh = false, onProgress = null, tag = null } = {}) {
+    const source = this.resolveSource(sourceName);
+    const cacheKey = this.pageCacheKey(source, pageNum, tag);
+    const label = tag ? `${source.name} tag "${tag}" page ${pageNum}` : `${source.name} page ${pageNum}`;
+
+    // Check if we already have this page cached (in memory or on disk)
+    const cached = forceRefresh ? null : await this.getCachedPage(cacheKey);
+    if (cached) {
+      this.metrics.recordCacheHit(!cached.fresh);
+
+      reportProgress(onProgress, 'cache', `Reading page #${pageNum} from cache...`, { page: pageNum, stale: !cached.fresh });
+      if (cached.fresh) {
+        console.log(`💾 Using cached quotes for ${label}`);
+      } else {
+        // Serve the stale copy now and revalidate it for the next request
+        console.log(`💾 Using stale quotes for ${label}, revalidating`);
+        this.revalidateInBackground(`page:${cacheKey}`, () => this.fetchQuotesFromPage(pageNum, source, { forceRefresh: true, tag }));
+      }
+      return { quotes: cached.quotes, hasNext: cached.hasNext };
     }
     
-    console.log(`📄 Fetching quotes from page ${pageNum}...`);
-    const page = await this.browser.newPage();
+    // Forced refreshes bypass the cache on purpose, so they don't count as misses
+    if (!forceRefresh) {
+      this.metrics.recordCacheMiss();
+    }
+
+    // Someone is already scraping this page: wait for their result instead of opening another tab
+    const inFlight = this.inFlightPages.get(cacheKey);
+    if (inFlight) {
+      this.metrics.recordCoalescedFetch();
+      console.log(`⏳ Waiting for in-flight fetch of ${label}`);
+      reportProgress(onProgress, 'navigate', `Waiting for page #${pageNum}...`, { page: pageNum, shared: true });
+      return inFlight;
+    }
+
+    const pending = this.scrapePage(source, pageNum, { tag, cacheKey, label, onProgress })
+      .finally(() => this.inFlightPages.delete(cacheKey));
+    this.inFlightPages.set(cacheKey, pending);
+    return pending;
+  }
+
+  // Scrape a listing page and cache it. Failures reject with an UpstreamError
+  // or UpstreamTimeoutError naming the page.
+  async scrapePage(source, pageNum, { tag, cacheKey, label, onProgress }) {
+    console.log(`📄 Fetching quotes from ${label}...`);
+    reportProgress(onProgress, 'navigate', `Browsing to page #${pageNum}...`, { page: pageNum, url: source.buildListingUrl(pageNum, tag) });
+    const startTime = Date.now();
     
     try {
-      await page.goto(`${this.baseUrl}/page/${pageNum}/`, { 
-        waitUntil: 'networkidle2',
-        timeout: this.config.timeout 
-      });
-      
-      // Wait for all quotes to load
-      await page.waitForSelector('.quote', { timeout: 5000 });
-      
-      // Extract quotes from the page
-      const quotes = await page.evaluate((pageNum) => {
-        const quotes = document.querySelectorAll('.quote');
-        const results = [];
-        
-        quotes.forEach((quote, index) => {
-          const textElement = quote.querySelector('.text');
-          const authorElement = quote.querySelector('.author');
-          const authorLinkElement = quote.querySelector('.author + a');
-          const tagsElement = quote.querySelector('.tags');
-          
-          if (textElement && authorElement) {
-            const text = textElement.textContent.trim();
-            const author = authorElement.textContent.trim();
-            
-            // Extract author page URL if available
-            let authorPageUrl = null;
-            if (authorLinkElement) {
-              const href = authorLinkElement.getAttribute('href');
-              if (href) {
-                // Make sure we have the full URL
-                authorPageUrl = href.startsWith('/') ? 
-                  `https://quotes.toscrape.com${href}` : href;
-              }
-            }
-            
-            // Try to get direct Goodreads link if available
-            let goodreadsUrl = null;
-            // Look for the specific "Goodreads page" link
-            const links = Array.from(quote.querySelectorAll('a'));
-            const goodreadsPageLink = links.find(link => 
-              link.textContent.trim() === 'Goodreads page' || 
-              (link.href && link.href.includes('goodreads.com/author'))
-            );
-            
-            if (goodreadsPageLink) {
-              goodreadsUrl = goodreadsPageLink.href;
-            }
-            
-            const tags = Array.from(tagsElement?.querySelectorAll('.tag') || [])
-              .map(tag => tag.textContent.trim());
-            
-            // Create a unique identifier for this quote
-            const quoteId = `${author.toLowerCase().replace(/\s+/g, '-')}-${text.substring(0, 20).toLowerCase().replace(/[^a-z0-9]/g, '-')}-${pageNum}-${index}`;
-            
-            results.push({
-              id: quoteId,
-              text: text,
-              author: author,
-              authorPageUrl: authorPageUrl,
-              goodreadsUrl: goodreadsUrl,
-              tags: tags,
-              sourceUrl: `https://quotes.toscrape.com/page/${pageNum}/#${index}`,
-              pageNumber: pageNum,
-              quoteIndex: index
-            });
-          }
-        });
-        
-        return results;
-      }, pageNum);
+      // Extract quotes from the page using the source adapter, noting whether
+      // the page was served to our session
+      let sessionExpired = false;
+      let hasNext = null;
+      const onSessionState = this.session.covers(source)
+        ? loggedIn => { sessionExpired = this.session.observePage(loggedIn); }
+        : null;
+      const onNextPage = next => { hasNext = next; };
+      let quotes = await this.loadListingQuotes(source, pageNum, tag, { onSessionState, onNextPage });
+
+      // A page served logged out while the session should be live means it
+      // expired: log in again and load the page once more
+      if (sessionExpired) {
+        reportProgress(onProgress, 'login', 'Session expired, logging in again...', { page: pageNum });
+        if (await this.login('expired')) {
+          quotes = await this.loadListingQuotes(source, pageNum, tag, { onSessionState, onNextPage });
+        }
+      }
+      reportProgress(onProgress, 'extract', `Extracted ${quotes.length} quotes from page #${pageNum}...`, { page: pageNum, count: quotes.length });
       
       // Verify we got a reasonable number of quotes
+      const expectedTotalPages = this.metadataBySource.get(source.name)?.totalPages;
       if (quotes.length === 0) {
         console.warn(`⚠️ Warning: No quotes found on page ${pageNum}. This may be an error.`);
-      } else if (quotes.length < 10 && pageNum !== this.pageMetadata?.totalPages) {
+      } else if (!tag && quotes.length < 10 && pageNum !== expectedTotalPages) {
         console.warn(`⚠️ Warning: Only ${quotes.length} quotes found on page ${pageNum}. Expected around 10.`);
       }
       
       // Cache the results
-      this.pageCache.set(pageNum, quotes);
-      console.log(`✅ Fetched ${quotes.length} quotes from page ${pageNum}`);
+      await this.storePage(cacheKey, quotes, hasNext);
+      if (!tag) {
+        await this.recordPageCount(source, pageNum, quotes.length);
+      }
+      this.metrics.recordPageFetch(cacheKey, Date.now() - startTime, quotes.length);
+      console.log(`✅ Fetched ${quotes.length} quotes from ${label}`);
       
-      return quotes;
+      return { quotes, hasNext };
       
     } catch (error) {
-      console.error(`❌ Error fetching quotes from page ${pageNum}:`, error);
-      return [];
-    } finally {
-      await page.close();
+      console.error(`❌ Error fetching quotes from ${label}:`, error);
+      this.metrics.recordPageFailure(error);
+      throw toPageError(error, { source: source.name, page: pageNum, ...(tag ? { tag } : {}) });
     }
   }
 
-  async scrapeQuotesInParallel(urls = null) {
-    console.log('🔍 Starting parallel quote scraping phase...');
-    const quotesToScrape = urls || this.quoteUrls;
-    
-    if (quotesToScrape.length === 0) {
-      throw new Error('No quotes to scrape');
-    }
+  // Load several listing pages in parallel without letting one failure sink
+  // the rest. Resolves to { pages: Map(pageNum -> quotes), failures: [ApiError] }.
+  async fetchPages(pageNumbers, source, { forceRefresh = false, onProgress = null } = {}) {
+    const pages = new Map();
+    const failures = [];
 
-    const results = [];
-    const concurrency = Math.min(this.config.maxConcurrentTabs, quotesToScrape.length);
-    
-    console.log(`⚡ Processing ${quotesToScrape.length} quotes with ${concurrency} concurrent tabs`);
+    const results = await Promise.allSettled(pageNumbers.map(pageNum =>
+      this.fetchQuotesFromPage(pageNum, source, { forceRefresh, onProgress })
+    ));
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        pages.set(pageNumbers[i], result.value);
+      } else {
+        failures.push(toPageError(result.reason, { source: source.name, page: pageNumbers[i] }));
+      }
+    });
 
-    // Process quotes in batches
-    for (let i = 0; i < quotesToScrape.length; i += concurrency) {
-      const batch = quotesToScrape.slice(i, i + concurrency);
-      console.log(`📦 Processing batch ${Math.floor(i / concurrency) + 1}/${Math.ceil(quotesToScrape.length / concurrency)}`);
-      
-      const batchPromises = batch.map(async (quoteData, index) => {
-        const page = await this.browser.newPage();
-        try {
-          // First, try to use the Goodreads URL if it was already found during collection
-          let goodreadsUrl = quoteData.goodreadsUrl;
-          
-          // If no Goodreads URL yet, try to extract it from the author page
-          if (!goodreadsUrl && quoteData.authorPageUrl) {
-            goodreadsUrl = await this.extractGoodreadsLink(quoteData.authorPageUrl);
-          }
-          
-          // If still no Goodreads URL, visit the quote page directly to find it
-          if (!goodreadsUrl) {
-            const quoteUrl = `${this.baseUrl}/page/${quoteData.pageNumber}/`;
-            console.log(`🔍 Visiting quote page to find Goodreads link: ${quoteUrl}`);
-            
-            await page.goto(quoteUrl, { waitUntil: 'networkidle2', timeout: this.config.timeout });
-            
-            // Find the specific quote on the page and extract the Goodreads link
-            goodreadsUrl = await page.evaluate((quoteText) => {
-              // Find the quote by its text
-              const quotes = Array.from(document.querySelectorAll('.quote'));
-              const targetQuote = quotes.find(q => {
-                const text = q.querySelector('.text');
-                return text && text.textContent.trim() === quoteText;
-              });
-              
-              if (!targetQuote) return null;
-              
-              // Look for the Goodreads page link in this quote
-              const links = Array.from(targetQuote.querySelectorAll('a'));
-              const goodreadsLink = links.find(link => 
-                link.textContent.trim() === 'Goodreads page' || 
-                (link.href && link.href.includes('goodreads.com/author'))
-              );
-              
-              return goodreadsLink ? goodreadsLink.href : null;
-            }, quoteData.text);
-          }
-          
-          // If still no Goodreads link found, generate a fallback search URL
-          if (!goodreadsUrl) {
-            goodreadsUrl = this.generateGoodreadsUrl(quoteData.text, quoteData.author);
-          }
-          
-          // Since we already have the quote data from the listing page,
-          // we can use it directly without needing to scrape individual pages
-          const validatedQuote = QuoteSchema.parse({
-            text: quoteData.text,
-            author: quoteData.author,
-            tags: quoteData.tags,
-            sourceUrl: `${this.baseUrl}/page/${quoteData.pageNumber}/#${quoteData.quoteIndex}`,
-            goodreadsUrl: goodreadsUrl,
-            pageNumber: quoteData.pageNumber,
-            quoteIndex: quoteData.quoteIndex
-          });
-
-          return validatedQuote;
-        } catch (error) {
-          console.error(`❌ Error validating quote ${quoteData.id}:`, error.message);
-          return null;
-        } finally {
-          await page.close();
-        }
-      });
+    return { pages, failures };
+  }
 
-      const batchResults = await Promise.all(batchPromises);
+  // Look a page up in memory, falling back to the persistent cache
+  async getCachedPage(cacheKey) {
+    let entry = this.pageCache.get(cacheKey);
+
+    if (!entry) {
+      const stored = await this.cacheStore.get(`pages/${cacheKey}`);
+      if (!stored) {
+        return null;
+      }
+      // Entries written before hasNext was recorded hold just the quotes
+      const { quotes, hasNext = null } = Array.isArray(stored.value) ? { quotes: stored.value } : stored.value;
+      entry = { quotes: quotes.map(withQuoteId), hasNext, fetchedAt: stored.storedAt };
+      this.pageCache.set(cacheKey, entry);
+    }
+
+    return { ...entry, fresh: this.cacheStore.isFresh({ storedAt: entry.fetchedAt }) };
+  }
+
+  async storePage(cacheKey, quotes, hasNext = null) {
+    const fetchedAt = Date.now();
+    this.pageCache.set(cacheKey, { quotes, hasNext, fetchedAt });
+    await this.cacheStore.set(`pages/${cacheKey}`, { quotes, hasNext }, fetchedAt);
+  }
+
+  // Re-scrape page metadata and listing pages, replacing what is cached.
+  // Refreshes every page of the source unless specific pages are given.
+  async refreshCache({ source: sourceName = null, pages = null } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const source = this.resolveSource(sourceName);
+    console.log(`🔄 Refreshing cache for ${source.name}...`);
+
+    const metadata = await this.fetchPageMetadata(source);
+    const pageNumbers = pages || Array.from({ length: metadata.totalPages }, (_, i) => i + 1);
+    const concurrency = Math.min(this.config.maxConcurrentTabs, pageNumbers.length) || 1;
+    let pagesRefreshed = 0;
+    let quotesRefreshed = 0;
+    const failures = [];
+
+    for (let i = 0; i < pageNumbers.length; i += concurrency) {
+      const batch = pageNumbers.slice(i, i + concurrency);
+      const { pages, failures: batchFailures } = await this.fetchPages(batch, source, { forceRefresh: true });
+      pagesRefreshed += pages.size;
+      quotesRefreshed += Array.from(pages.values()).reduce((total, quotes) => total + quotes.length, 0);
+      failures.push(...batchFailures);
+    }
+    throwIfNothingLoaded(pagesRefreshed, failures);
+
+    console.log(`✅ Refreshed ${pagesRefreshed} pages (${quotesRefreshed} quotes) for ${source.name}`);
+    return {
+      source: source.name,
+      pagesRefreshed,
+      quotesRefreshed,
+      metadata,
+      failures
+    };
+  }
+
+  // Re-crawl every listing page of a source (see refreshCache) and describe
+  // what it lists now, for change detection (see changeLog.js). Pages past
+  // the source's new last page are dropped from the cache so quotes that
+  // left the listing stop being served.
+  async snapshotListing({ source: sourceName = null } = {}) {
+    const { source, metadata, failures } = await this.refreshCache({ source: sourceName });
+    const adapter = this.resolveSource(source);
+
+    for (let pageNum = metadata.totalPages + 1; pageNum <= this.maxPages; pageNum++) {
+      const cacheKey = this.pageCacheKey(adapter, pageNum);
+      this.pageCache.delete(cacheKey);
+      await this.cacheStore.delete(`pages/${cacheKey}`);
+    }
+
+    const failedPages = failures.map(failure => failure.details?.page).filter(Boolean);
+    const quotes = [];
+    for (let pageNum = 1; pageNum <= metadata.totalPages; pageNum++) {
+      const cached = failedPages.includes(pageNum) ? null : this.pageCache.get(this.pageCacheKey(adapter, pageNum));
+      for (const quote of cached ? cached.quotes : []) {
+        quotes.push({ id: quote.id, text: quote.text, author: quote.author, tags: quote.tags || [], page: pageNum });
+      }
+    }
+
+    // Page counts are unknown when the page walk failed and metadata is a guess
+    return {
+      source,
+      takenAt: new Date().toISOString(),
+      totalPages: metadata.fallback ? null : metadata.totalPages,
+      pageCounts: metadata.fallback ? null : pageCountsFromMetadata(metadata),
+      failedPages,
+      quotes
+    };
+  }
+
+  // Drop every cached page and all page metadata, in memory and on disk
+  async clearCache() {
+    const pagesInMemory = this.pageCache.size;
+    this.pageCache.clear();
+    this.authorProfiles.clear();
+    this.topTagsBySource.clear();
+    this.metadataBySource.clear();
+    const entriesOnDisk = await this.cacheStore.clear(CACHE_PREFIXES);
+
+    console.log(`🧹 Cleared ${pagesInMemory} cached pages from memory and ${entriesOnDisk} entries from disk`);
+    return { pagesInMemory, entriesOnDisk };
+  }
+
+  // Open a URL and run a DOM function against it: inside a browser tab, or
+  // against a parsed document in http mode. fn must be self-contained
+  // because it is serialised into the page in browser mode.
+  async evaluateDocument(url, fn, ...args) {
+    if (this.isHttpMode) {
+      const { document } = await this.http.fetchDocument(url);
+      return fn(document, ...args);
+    }
+
+    return this.withPage(async page => {
+      await page.goto(url, { 
+        waitUntil: 'networkidle2',
+        timeout: this.config.timeout 
+      });
+      const serializedArgs = args.map(arg => JSON.stringify(arg === undefined ? null : arg)).join(', ');
+      return await page.evaluate(`(${fn.toString()})(document, ${serializedArgs})`);
+    });
+  }
+
+  // Load a listing page and extract its quotes, in a browser tab or over HTTP
+  async loadListingQuotes(source, pageNum, tag = null, { onSessionState = null, onNextPage = null } = {}) {
+    const quotes = this.isHttpMode
+      ? await source.loadListingOverHttp(this.http, pageNum, tag, { onSessionState, onNextPage })
+      : await this.withPage(page => source.loadListingInBrowser(page, pageNum, tag, { timeout: this.config.timeout, onSessionState, onNextPage }));
+
+    return quotes.map(withQuoteId);
+  }
+
+  async scrapeQuotesInParallel(urls = null) {
+    console.log('🔍 Starting parallel quote scraping phase...');
+    const quotesToScrape = urls || this.quoteUrls;
+    
+    if (quotesToScrape.length === 0) {
+      throw new Error('No quotes to scrape');
+    }
+
+    const results = [];
+    const concurrency = Math.min(this.config.maxConcurrentTabs, quotesToScrape.length);
+    
+    console.log(`⚡ Processing ${quotesToScrape.length} quotes with ${concurrency} concurrent tabs`);
+
+    // Process quotes in batches
+    for (let i = 0; i < quotesToScrape.length; i += concurrency) {
+      const batch = quotesToScrape.slice(i, i + concurrency);
+      console.log(`📦 Processing batch ${Math.floor(i / concurrency) + 1}/${Math.ceil(quotesToScrape.length / concurrency)}`);
+      
+      const batchPromises = batch.map(async (quoteData, index) => {
+        try {
+          // First, try to use the Goodreads URL if it was already found during collection
+          let goodreadsUrl = quoteData.goodreadsUrl;
+          
+          // If no Goodreads URL yet, try to extract it from the author page
+          if (!goodreadsUrl && quoteData.authorPageUrl) {
+            goodreadsUrl = await this.extractGoodreadsLink(quoteData.authorPageUrl);
+          }
+          
+          // If still no Goodreads URL, visit the quote page directly to find it
+          if (!goodreadsUrl) {
+            const quoteUrl = quoteData.sourceUrl.split('#')[0];
+            console.log(`🔍 Visiting quote page to find Goodreads link: ${quoteUrl}`);
+            
+            // Find the specific quote on the page and extract the Goodreads link
+            goodreadsUrl = await this.evaluateDocument(
+              quoteUrl,
+              findQuoteGoodreadsLink,
+              quoteData.text,
+              this.source.selectors,
+              quoteUrl
+            );
+          }
+          
+          // If still no Goodreads link found, generate a fallback search URL
+          if (!goodreadsUrl) {
+            goodreadsUrl = this.generateGoodreadsUrl(quoteData.text, quoteData.author);
+          }
+          
+          // Since we already have the quote data from the listing page,
+          // we can use it directly without needing to scrape individual pages
+          return this.toValidatedQuote({ ...quoteData, goodreadsUrl });
+        } catch (error) {
+          console.error(`❌ Error validating quote ${quoteId(quoteData)}:`, error.message);
+          return null;
+        }
+      });
+
+      const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults.filter(result => result !== null));
       
       // Small delay between batches to be respectful
@@ -428,42 +989,647 @@ class QuoteScraper {
     }
 
     this.scrapedQuotes = results;
+    this.scrapedSource = this.source.name;
     console.log(`✅ Successfully scraped ${results.length} quotes`);
     return results;
   }
 
-  async fetchRandomQuotes(count = 10) {
-    console.log(`🎲 Fetching ${count} random quotes...`);
-    
+  async scrapeAllQuotes(sourceName = null) {
+    const { quotes } = await this.crawlAllQuotes(sourceName);
+    return quotes;
+  }
+
+  // Every quote of a source plus the pages that failed to load, if any
+  async crawlAllQuotes(sourceName = null) {
     if (!this.isInitialized) {
       await this.initialize();
     }
+
+    const source = this.resolveSource(sourceName);
+    console.log(`🌐 Starting full-site crawl of ${source.name}...`);
+
+    const metadata = await this.ensurePageMetadata(source);
+    const totalPages = metadata?.totalPages || this.maxPages;
+    const concurrency = Math.min(this.config.maxConcurrentTabs, totalPages);
+    const pageResults = [];
+    const failures = [];
+
+    // Walk every page in batches so we never exceed the tab limit
+    for (let start = 1; start <= totalPages; start += concurrency) {
+      const batch = [];
+      for (let pageNum = start; pageNum < start + concurrency && pageNum <= totalPages; pageNum++) {
+        batch.push(pageNum);
+      }
+
+      console.log(`📦 Crawling pages ${start}-${start + batch.length - 1} of ${totalPages}`);
+      const { pages, failures: batchFailures } = await this.fetchPages(batch, source);
+      pageResults.push(...pages.values());
+      failures.push(...batchFailures);
+    }
+    throwIfNothingLoaded(pageResults.length, failures);
+
+    const seen = new Set();
+    const quotes = [];
+    const authorIndex = new Map();
+    const tagIndex = new Map();
+
+    for (const quoteData of pageResults.flat()) {
+      // The same quote can show up on more than one page if the site reorders mid-crawl
+      const key = quoteKey(quoteData);
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const validatedQuote = this.toValidatedQuote(quoteData);
+      if (validatedQuote) {
+        quotes.push(validatedQuote);
+        this.indexQuote(quoteData, authorIndex, tagIndex, source);
+      }
+    }
+
+    this.scrapedQuotes = quotes;
+    this.scrapedSource = source.name;
+    this.authorIndex = authorIndex;
+    this.tagIndex = tagIndex;
+
+    console.log(`✅ Crawled ${quotes.length} unique quotes from ${totalPages - failures.length} of ${totalPages} pages (${authorIndex.size} authors, ${tagIndex.size} tags)`);
+    return { quotes, failures };
+  }
+
+  // Add a quote to the author and tag indexes
+  indexQuote(quoteData, authorIndex, tagIndex, source = this.source) {
+    if (!authorIndex.has(quoteData.author)) {
+      const slug = source.authorSlug(quoteData.author, quoteData.authorPageUrl);
+      const aboutUrl = quoteData.authorPageUrl || source.buildAuthorUrl(slug);
+      authorIndex.set(quoteData.author, AuthorSchema.parse({
+        name: quoteData.author,
+        aboutUrl: aboutUrl,
+        slug: slug,
+        quotes: []
+      }));
+    }
+    authorIndex.get(quoteData.author).quotes.push(quoteData.id);
+
+    for (const tag of quoteData.tags) {
+      if (!tagIndex.has(tag)) {
+        tagIndex.set(tag, TagSchema.parse({ name: tag, quotes: [] }));
+      }
+      tagIndex.get(tag).quotes.push(quoteData.id);
+    }
+  }
+
+  // Quotes already collected for a source: the last full crawl plus any listing
+  // pages sitting in the page cache, deduplicated. Nothing is fetched here.
+  collectedQuoteData(sourceName = null) {
+    const source = this.resolveSource(sourceName);
+    const candidates = this.scrapedSource === source.name ? [...this.scrapedQuotes] : [];
+    const pagePrefix = `${source.name}:`;
+    const pageEntries = Array.from(this.pageCache.entries())
+      .filter(([key]) => key.startsWith(pagePrefix));
+
+    // Main listing pages in page order first, then whatever tag pages were fetched
+    const listingPage = key => Number(key.slice(pagePrefix.length));
+    pageEntries
+      .filter(([key]) => Number.isInteger(listingPage(key)))
+      .sort(([a], [b]) => listingPage(a) - listingPage(b))
+      .concat(pageEntries.filter(([key]) => !Number.isInteger(listingPage(key))))
+      .forEach(([, entry]) => candidates.push(...entry.quotes));
+
+    const seen = new Set();
+    return candidates.filter(quoteData => {
+      const key = quoteKey(quoteData);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Collected quotes in their validated API shape
+  collectedQuotes(sourceName = null) {
+    return this.collectedQuoteData(sourceName)
+      .map(quoteData => this.toValidatedQuote(quoteData))
+      .filter(quote => quote !== null);
+  }
+
+  toValidatedQuote(quoteData) {
+    const parsed = QuoteSchema.safeParse({
+      id: quoteId(quoteData),
+      text: quoteData.text,
+      author: quoteData.author,
+      tags: quoteData.tags,
+      sourceUrl: quoteData.sourceUrl,
+      goodreadsUrl: quoteData.goodreadsUrl || this.generateGoodreadsUrl(quoteData.text, quoteData.author),
+      pageNumber: quoteData.pageNumber,
+      quoteIndex: quoteData.quoteIndex
+    });
+    if (!parsed.success) {
+      const problems = parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+      console.warn(`⚠️ Dropping invalid quote from ${quoteData.sourceUrl}: ${problems}`);
+      return null;
+    }
+    return parsed.data;
+  }
+
+  // Full-text, author and tag search over collected quotes, ranked by relevance
+  searchQuotes({ source: sourceName = null, ...criteria } = {}) {
+    const quotes = this.collectedQuotes(sourceName);
+    console.log(`🔎 Searching ${quotes.length} collected quotes: ${JSON.stringify(criteria)}`);
+    return {
+      ...searchQuotes(quotes, criteria),
+      searched: quotes.length
+    };
+  }
+
+  // A quote by its stable id. When it isn't among the collected quotes, every
+  // listing page of the source is loaded (from the cache where possible)
+  // before giving up. Resolves to null for unknown ids.
+  async findQuote(id, sourceName = null) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const source = this.resolveSource(sourceName);
+    const find = () => this.collectedQuotes(source).find(quote => quote.id === id) || null;
+
+    const collected = find();
+    if (collected) {
+      return collected;
+    }
+
+    console.log(`🔎 Quote ${id} not collected yet, loading every ${source.name} page...`);
+    const failures = await this.loadAllListingPages(source);
+    const quote = find();
+
+    // The quote may be on a page that failed, so that's the error to report
+    if (!quote && failures.length > 0) {
+      throw failures[0];
+    }
+    return quote;
+  }
+
+  // Every quote of a source that passes the filters, for exports. Loads every
+  // listing page (from the cache where possible) first, so the result covers
+  // the whole listing plus any tag pages already fetched. Resolves to
+  // { quotes, failures }.
+  async exportQuotes(sourceName = null, { filters = {}, onProgress = null } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const source = this.resolveSource(sourceName);
+    const failures = await this.loadAllListingPages(source, { onProgress });
+    const collected = this.collectedQuotes(source);
+    throwIfNothingLoaded(collected.length, failures);
+
+    const quotes = collected.filter(quote => matchesFilters(quote, filters));
+    console.log(`📤 Exporting ${quotes.length} of ${collected.length} ${source.name} quotes`);
+    return { quotes, failures };
+  }
+
+  // Authors of the collected quotes, with any biography details already fetched
+  listAuthors(sourceName = null) {
+    const source = this.resolveSource(sourceName);
+    const authors = new Map();
+
+    for (const quoteData of this.collectedQuoteData(source)) {
+      if (!authors.has(quoteData.author)) {
+        const slug = source.authorSlug(quoteData.author, quoteData.authorPageUrl);
+        const details = this.authorProfiles.get(this.authorCacheKey(source, slug))?.details;
+        authors.set(quoteData.author, {
+          ...details,
+          name: quoteData.author,
+          slug,
+          aboutUrl: quoteData.authorPageUrl || source.buildAuthorUrl(slug),
+          quoteCount: 0
+        });
+      }
+      authors.get(quoteData.author).quoteCount++;
+    }
+
+    return Array.from(authors.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(author => AuthorSummarySchema.parse(author));
+  }
+
+  // Quotes filed under a tag, one page of the site's /tag/<name>/ listing at a time.
+  // hasMore comes from the page's Next link, so the last page is never followed
+  // by a request for one past the end.
+  async fetchTagQuotes(tag, pageNum = 1, sourceName = null) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const source = this.resolveSource(sourceName);
+    let listing = await this.fetchListingPage(pageNum, source, { tag });
+    if (listing.hasNext === null) {
+      // Cached before the Next link was recorded: load the page again
+      listing = await this.fetchListingPage(pageNum, source, { tag, forceRefresh: true });
+    }
+    const quotes = listing.quotes
+      .map(quoteData => this.toValidatedQuote(quoteData))
+      .filter(quote => quote !== null);
+
+    return {
+      quotes,
+      hasMore: !!listing.hasNext
+    };
+  }
+
+  // Tags of the collected quotes with how many quotes carry each, plus the
+  // site's top tags (which are listed even before any of their quotes are collected)
+  async listTags(sourceName = null) {
+    const source = this.resolveSource(sourceName);
+    const topTags = await this.fetchTopTags(source);
+    const counts = new Map(topTags.map(name => [name, 0]));
+
+    for (const quoteData of this.collectedQuoteData(source)) {
+      for (const tag of quoteData.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    return Array.from(counts.entries())
+      .map(([name, count]) => {
+        const rank = topTags.indexOf(name);
+        return TagSummarySchema.parse({
+          name,
+          count,
+          topRank: rank === -1 ? undefined : rank + 1,
+          url: source.buildTagPageUrl(name, 1)
+        });
+      })
+      .sort((a, b) => b.count - a.count || (a.topRank || Infinity) - (b.topRank || Infinity) || a.name.localeCompare(b.name));
+  }
+
+  // The site's top tags cloud, cached like page metadata
+  async fetchTopTags(source) {
+    if (this.topTagsBySource.has(source.name)) {
+      return this.topTagsBySource.get(source.name);
+    }
+
+    const cached = await this.cacheStore.get(`tags/${source.name}`);
+    if (cached && cached.fresh) {
+      this.topTagsBySource.set(source.name, cached.value);
+      return cached.value;
+    }
+
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      console.log(`🏷️ Reading top tags for ${source.name}...`);
+      const topTags = await this.loadTopTags(source, source.buildPageUrl(1));
+      this.topTagsBySource.set(source.name, topTags);
+      await this.cacheStore.set(`tags/${source.name}`, topTags);
+      return topTags;
+    } catch (error) {
+      // Counts from collected quotes are still useful without the cloud
+      console.error(`❌ Failed to read top tags for ${source.name}:`, error.message);
+      return cached ? cached.value : [];
+    }
+  }
+
+  // Load a listing page and read its top tags cloud, in a browser tab or over HTTP
+  async loadTopTags(source, url) {
+    if (this.isHttpMode) {
+      const { document } = await this.http.fetchDocument(url);
+      return source.extractTopTagsFromDocument(document);
+    }
+
+    return this.withPage(async page => {
+      await page.goto(url, { 
+        waitUntil: source.waitUntil,
+        timeout: this.config.timeout 
+      });
+      return await source.extractTopTags(page);
+    });
+  }
+
+  // Biography from the author page plus every collected quote by the author.
+  // Resolves to null when the source has no page for the slug.
+  async getAuthorProfile(slug, sourceName = null, { forceRefresh = false } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const source = this.resolveSource(sourceName);
+    const entry = await this.fetchAuthorDetails(source, slug, { forceRefresh });
+    if (!entry) {
+      return null;
+    }
+
+    const quotes = this.collectedQuoteData(source)
+      .filter(quoteData => quoteData.author === entry.details.name ||
+        source.authorSlug(quoteData.author, quoteData.authorPageUrl) === slug)
+      .map(quoteData => this.toValidatedQuote(quoteData))
+      .filter(quote => quote !== null);
+
+    return AuthorProfileSchema.parse({
+      ...entry.details,
+      slug,
+      aboutUrl: source.buildAuthorUrl(slug),
+      quotes,
+      fetchedAt: new Date(entry.fetchedAt).toISOString()
+    });
+  }
+
+  authorCacheKey(source, slug) {
+    return `${source.name}:${slug}`;
+  }
+
+  // Author page details, cached in memory and on disk like listing pages
+  async fetchAuthorDetails(source, slug, { forceRefresh = false } = {}) {
+    const cacheKey = this.authorCacheKey(source, slug);
+
+    const cached = forceRefresh ? null : await this.getCachedAuthor(cacheKey);
+    if (cached) {
+      if (!cached.fresh) {
+        console.log(`💾 Using stale author details for ${cacheKey}, revalidating`);
+        this.revalidateInBackground(`author:${cacheKey}`, () => this.fetchAuthorDetails(source, slug, { forceRefresh: true }));
+      }
+      return cached;
+    }
+
+    const url = source.buildAuthorUrl(slug);
+    console.log(`👤 Fetching author page ${url}...`);
+    const details = await this.loadAuthorDetails(source, url);
+
+    // Unknown authors aren't cached so a later crawl can still find them
+    if (!details) {
+      console.warn(`⚠️ No author details found at ${url}`);
+      return null;
+    }
+
+    const fetchedAt = Date.now();
+    this.authorProfiles.set(cacheKey, { details, fetchedAt });
+    await this.cacheStore.set(`authors/${cacheKey}`, details, fetchedAt);
+    return { details, fetchedAt };
+  }
+
+  async getCachedAuthor(cacheKey) {
+    let entry = this.authorProfiles.get(cacheKey);
+
+    if (!entry) {
+      const stored = await this.cacheStore.get(`authors/${cacheKey}`);
+      if (!stored) {
+        return null;
+      }
+      entry = { details: stored.value, fetchedAt: stored.storedAt };
+      this.authorProfiles.set(cacheKey, entry);
+    }
+
+    return { ...entry, fresh: this.cacheStore.isFresh({ storedAt: entry.fetchedAt }) };
+  }
+
+  // Load an author page and extract its biography, in a browser tab or over HTTP
+  async loadAuthorDetails(source, url) {
+    if (this.isHttpMode) {
+      try {
+        const { document } = await this.http.fetchDocument(url);
+        return source.extractAuthorFromDocument(document);
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    return this.withPage(async page => {
+      await page.goto(url, { 
+        waitUntil: source.waitUntil,
+        timeout: this.config.timeout 
+      });
+      return await source.extractAuthor(page);
+    });
+  }
+
+  // onProgress, when given, receives { stage, message, ... } events as the
+  // scrape actually happens (login, navigation, extraction, selection)
+  async fetchRandomQuotes(count = 10, sourceName = null, { onProgress = null, seed = null, sessionId = null, filters = {}, weight = 'uniform' } = {}) {
+    const { quotes } = await this.drawRandomQuotes(count, sourceName, { onProgress, seed, sessionId, filters, weight });
+    return quotes;
+  }
+
+  // Random quotes plus the seed that picked them (generated when none is given)
+  // and, for a session, how far through the source's quotes it has got. The same
+  // seed always picks the same quotes; a session never repeats a quote until it
+  // has been served every one.
+  // filters ({ tags, tagMatch, author, minLength, maxLength, excludeIds }) or a
+  // weight other than 'uniform' switch to sampling the whole corpus (see
+  // sampleCorpus); matched is then the number of quotes that passed the filters.
+  async drawRandomQuotes(count = 10, sourceName = null, { onProgress = null, seed = null, sessionId = null, filters = {}, weight = 'uniform' } = {}) {
+    console.log(`🎲 Fetching ${count} random quotes...`);
+    reportProgress(onProgress, 'start', 'Starting fetch...', { count });
     
+    if (!this.isInitialized) {
+      await this.initialize({ onProgress });
+    } else if (this.isLoggedIn) {
+      reportProgress(onProgress, 'login', 'Using logged-in session...', { loggedIn: true });
+    }
+
+    const source = this.resolveSource(sourceName);
+    const usedSeed = seed ?? generateSeed();
+    const constrained = hasFilters(filters) || weight !== 'uniform';
+
+    if (sessionId) {
+      return this.randomSessions.withSession(sessionId, source.name, async session => {
+        // Each request of a session draws from its own reproducible sequence
+        const random = createRandom(`${usedSeed}:${session.requests}`);
+        session.requests++;
+        const { quotes, matched = null, failures } = constrained
+          ? await this.sampleCorpus(count, source, { filters, weight, random, session, onProgress })
+          : await this.fetchUnseenQuotes(count, source, session, random, { onProgress });
+        this.recordServedAuthors(source, quotes, session);
+        const total = this.metadataBySource.get(source.name)?.totalQuotes ?? null;
+        return {
+          quotes,
+          seed: usedSeed,
+          matched,
+          failures,
+          session: {
+            id: session.id,
+            cycle: session.cycle,
+            served: session.served.size,
+            remaining: total === null ? null : Math.max(total - session.served.size, 0)
+          }
+        };
+      });
+    }
+
+    const random = createRandom(usedSeed);
+    let result;
+
+    if (constrained) {
+      result = await this.sampleCorpus(count, source, { filters, weight, random, onProgress });
+    }
     // For small counts (<=50), fetch from a subset of pages
-    if (count <= 50) {
-      return await this.fetchQuotesFromSubsetOfPages(count);
+    else if (count <= 50) {
+      result = await this.sampleSubsetOfPages(count, source, { onProgress, random });
     } 
-    // For larger counts, use pagination
+    // Larger counts draw from every quote of the source, still seeded
     else {
-      return await this.fetchQuotesWithPagination(0, count);
+      const { quotes, failures } = await this.sampleCorpus(count, source, { random, onProgress });
+      result = { quotes, failures };
+    }
+
+    const { quotes, matched = null, failures } = result;
+    this.recordServedAuthors(source, quotes);
+    return { quotes, seed: usedSeed, matched, failures, session: null };
+  }
+
+  // Random quotes matching the filters, drawn from every quote of the source
+  // rather than a few random pages, so narrow filters still fill the request.
+  // In a session, matches it hasn't been served yet come first and already
+  // served ones only top the draw up. Resolves to { quotes, matched, failures }.
+  async sampleCorpus(count, source, { filters = {}, weight = 'uniform', random = Math.random, session = null, onProgress = null } = {}) {
+    const failures = await this.loadAllListingPages(source, { onProgress });
+
+    const corpus = this.collectedQuotes(source);
+    throwIfNothingLoaded(corpus.length, failures);
+    const matches = corpus.filter(quote => matchesFilters(quote, filters));
+    const weightOf = this.authorWeight(weight, source, corpus, session);
+    console.log(`🎯 ${matches.length} of ${corpus.length} quotes match ${JSON.stringify(filters)}, weighting ${weight}`);
+    reportProgress(onProgress, 'select', count === 1 ? 'Selecting random quote...' : `Selecting ${count} random quotes...`, { candidates: matches.length });
+
+    if (!session) {
+      return { quotes: weightedSample(matches, count, weightOf, random), matched: matches.length, failures };
+    }
+
+    const unseen = matches.filter(quote => !session.served.has(quoteKey(quote)));
+    let picked = weightedSample(unseen, count, weightOf, random);
+    if (picked.length < count) {
+      const pickedKeys = new Set(picked.map(quoteKey));
+      const served = matches.filter(quote => !pickedKeys.has(quoteKey(quote)));
+      picked = picked.concat(weightedSample(served, count - picked.length, weightOf, random));
+    }
+
+    picked.forEach(quote => session.served.add(quoteKey(quote)));
+    return { quotes: picked, matched: matches.length, failures };
+  }
+
+  // Load every listing page of a source, from the cache where possible, a
+  // batch of maxConcurrentTabs pages at a time. Resolves to the pages' failures.
+  async loadAllListingPages(source, { onProgress = null } = {}) {
+    const metadata = await this.ensurePageMetadata(source);
+    const totalPages = metadata?.totalPages || 0;
+    const failures = [];
+
+    for (let first = 1; first <= totalPages; first += this.config.maxConcurrentTabs) {
+      const last = Math.min(first + this.config.maxConcurrentTabs - 1, totalPages);
+      const batch = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+      const { failures: batchFailures } = await this.fetchPages(batch, source, { onProgress });
+      failures.push(...batchFailures);
+    }
+    return failures;
+  }
+
+  // Sampling weight of a quote under a weighting strategy
+  authorWeight(weight, source, corpus, session = null) {
+    if (weight === 'lessSeenAuthors') {
+      const served = session ? session.authorCounts : (this.authorServes.get(source.name) || new Map());
+      return quote => 1 / (1 + (served.get(quote.author) || 0));
+    }
+
+    if (weight === 'rareAuthors') {
+      const quotesByAuthor = new Map();
+      corpus.forEach(quote => quotesByAuthor.set(quote.author, (quotesByAuthor.get(quote.author) || 0) + 1));
+      return quote => 1 / quotesByAuthor.get(quote.author);
+    }
+
+    return () => 1;
+  }
+
+  // Count served quotes per author, for the whole source and for the session
+  recordServedAuthors(source, quotes, session = null) {
+    if (!this.authorServes.has(source.name)) {
+      this.authorServes.set(source.name, new Map());
     }
+    const counts = [this.authorServes.get(source.name), session?.authorCounts].filter(Boolean);
+
+    quotes.forEach(quote => {
+      counts.forEach(byAuthor => byAuthor.set(quote.author, (byAuthor.get(quote.author) || 0) + 1));
+    });
+  }
+
+  // Draw quotes the session hasn't been served yet, visiting pages in random
+  // order until there are enough. Once every quote has been served the session
+  // starts over, topping the draw up from the whole pool. Resolves to { quotes, failures }.
+  async fetchUnseenQuotes(count, source, session, random, { onProgress = null } = {}) {
+    const metadata = await this.ensurePageMetadata(source);
+    const totalPages = metadata?.totalPages || 10;
+    const quotesPerPage = metadata?.quotesPerPage || 10;
+    const pageOrder = shuffle(Array.from({ length: totalPages }, (_, i) => i + 1), random);
+    const batchSize = Math.max(1, Math.min(Math.ceil(count / quotesPerPage), this.config.maxConcurrentTabs));
+
+    const pool = new Map(); // Every quote seen on the visited pages
+    const unseen = new Map();
+    const failures = [];
+    let visited = 0;
+
+    while (unseen.size < count && visited < pageOrder.length) {
+      const batch = pageOrder.slice(visited, visited + batchSize);
+      visited += batch.length;
+      const { pages, failures: batchFailures } = await this.fetchPages(batch, source, { onProgress });
+      failures.push(...batchFailures);
+
+      Array.from(pages.values()).flat().forEach(quote => {
+        const key = quoteKey(quote);
+        pool.set(key, quote);
+        if (!session.served.has(key)) {
+          unseen.set(key, quote);
+        }
+      });
+    }
+
+    reportProgress(onProgress, 'select', count === 1 ? 'Selecting random quote...' : `Selecting ${count} random quotes...`, { candidates: unseen.size });
+    let picked = shuffle([...unseen.values()], random).slice(0, count);
+
+    throwIfNothingLoaded(pool.size, failures);
+
+    // Every page was visited and still too few unseen quotes: the pool is exhausted.
+    // Pages that failed to load don't count as exhausted.
+    if (picked.length < count && failures.length === 0) {
+      console.log(`🔄 Random session ${session.id} has seen every quote, starting cycle ${session.cycle + 1}`);
+      session.served.clear();
+      session.cycle++;
+      const pickedKeys = new Set(picked.map(quoteKey));
+      const rest = [...pool.values()].filter(quote => !pickedKeys.has(quoteKey(quote)));
+      picked = picked.concat(shuffle(rest, random).slice(0, count - picked.length));
+    }
+
+    picked.forEach(quote => session.served.add(quoteKey(quote)));
+    return { quotes: picked, failures };
   }
   
-  async fetchQuotesFromSubsetOfPages(count) {
-    // Determine how many pages we need
-    const quotesPerPage = this.pageMetadata?.quotesPerPage || 10;
+  async fetchQuotesFromSubsetOfPages(count, sourceName = null, { onProgress = null, random = Math.random } = {}) {
+    const { quotes } = await this.sampleSubsetOfPages(count, sourceName, { onProgress, random });
+    return quotes;
+  }
+
+  // Random quotes from a few random pages, plus the pages that failed to load
+  async sampleSubsetOfPages(count, sourceName = null, { onProgress = null, random = Math.random } = {}) {
+    const source = this.resolveSource(sourceName);
+    const metadata = await this.ensurePageMetadata(source);
+
+    // Determine how many pages we need; without metadata assume the page cap
+    const quotesPerPage = metadata?.quotesPerPage || 10;
+    const totalPages = metadata?.totalPages || this.maxPages;
     const pagesNeeded = Math.min(
       Math.ceil(count / quotesPerPage),
-      Math.ceil(this.pageMetadata?.totalPages / 2) // Use at most half the available pages
+      Math.ceil(totalPages / 2) // Use at most half the available pages
     );
     
     // Select random pages
-    const totalPages = this.pageMetadata?.totalPages || 10;
     const pageNumbers = [];
     
     // Ensure we don't select the same page twice
     while (pageNumbers.length < pagesNeeded) {
-      const randomPage = Math.floor(Math.random() * totalPages) + 1;
+      const randomPage = Math.floor(random() * totalPages) + 1;
       if (!pageNumbers.includes(randomPage)) {
         pageNumbers.push(randomPage);
       }
@@ -472,94 +1638,154 @@ class QuoteScraper {
     console.log(`📑 Selected ${pagesNeeded} random pages: ${pageNumbers.join(', ')}`);
     
     // Fetch quotes from selected pages in parallel
-    const fetchPromises = pageNumbers.map(pageNum => this.fetchQuotesFromPage(pageNum));
-    const pageResults = await Promise.all(fetchPromises);
+    const { pages, failures } = await this.fetchPages(pageNumbers, source, { onProgress });
+    throwIfNothingLoaded(pages.size, failures);
     
     // Flatten and shuffle the results
-    let allQuotes = pageResults.flat();
-    allQuotes = this.shuffleArray(allQuotes);
+    let allQuotes = Array.from(pages.values()).flat();
+    reportProgress(onProgress, 'select', count === 1 ? 'Selecting random quote...' : `Selecting ${count} random quotes...`, { candidates: allQuotes.length });
+    allQuotes = this.shuffleArray(allQuotes, random);
     
     // Return only the requested count
-    return allQuotes.slice(0, count);
+    return { quotes: allQuotes.slice(0, count), failures };
   }
   
-  async fetchQuotesWithPagination(offset = 0, limit = 50) {
-    console.log(`📃 Fetching quotes with pagination: offset=${offset}, limit=${limit}`);
-    
+  // Quotes in listing order, as an array. See paginateQuotes for the details.
+  async fetchQuotesWithPagination(offset = 0, limit = 50, sourceName = null, { onProgress = null, prefetch = false } = {}) {
+    const { quotes } = await this.paginateQuotes({ offset, limit, source: sourceName, onProgress, prefetch });
+    return quotes;
+  }
+
+  // One window of the listing in order, starting at an offset or at a cursor
+  // position ({ page, index } from decodeCursor). Offsets are mapped through
+  // the real per-page quote counts, and every page loaded corrects those
+  // counts, so total and hasMore are exact. With prefetch, the pages just
+  // past the window are warmed in the background for the next request.
+  // A page that fails to load ends the window early, with the failure in
+  // failures and the cursor pointing at the failed page so it's retried.
+  async paginateQuotes({ offset = 0, cursor = null, limit = 50, source: sourceName = null, onProgress = null, prefetch = false } = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
-    
-    // Use minimum quotes per page as the limiting factor
-    const quotesPerPage = this.pageMetadata?.quotesPerPage || 10; // This is now the minimum
-    const totalPages = this.pageMetadata?.totalPages || 10;
-    const avgQuotesPerPage = this.pageMetadata?.avgQuotesPerPage || 10;
-    
-    console.log(`📊 Pagination info: minQuotesPerPage=${quotesPerPage}, avgQuotesPerPage=${avgQuotesPerPage}, totalPages=${totalPages}`);
-    
-    // Calculate which pages we need to fetch based on minimum quotes per page
-    const startPage = Math.floor(offset / quotesPerPage) + 1;
-    const endPage = Math.ceil((offset + limit) / quotesPerPage);
-    const totalPagesToFetch = endPage - startPage + 1;
-    
-    console.log(`📑 Need to fetch pages ${startPage} to ${endPage} (${totalPagesToFetch} pages)`);
-    console.log(`📑 Available pages: ${totalPages}, Will fetch: ${Math.min(endPage, totalPages)}`);
-    
-    // Fetch all needed pages in parallel
-    const pagePromises = [];
-    for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
-      if (pageNum <= this.pageMetadata?.totalPages) {
-        pagePromises.push(this.fetchQuotesFromPage(pageNum));
-      }
+
+    const source = this.resolveSource(sourceName);
+    const metadata = await this.ensurePageMetadata(source);
+    const totalPages = metadata?.totalPages || 0;
+
+    const start = cursor
+      ? { page: cursor.page, index: cursor.index }
+      : positionOfOffset(pageCountsFromMetadata(metadata), offset);
+    console.log(`📃 Fetching ${limit} quotes from ${source.name} starting at page ${start.page}, quote ${start.index}`);
+
+    // Load the pages the window should span in parallel, going by the known counts
+    const expectedCounts = pageCountsFromMetadata(metadata);
+    const expectedPages = [];
+    for (let pageNum = start.page, needed = start.index + limit; pageNum <= totalPages && needed > 0; pageNum++) {
+      expectedPages.push(pageNum);
+      needed -= expectedCounts[pageNum - 1];
     }
-    
-    const pageResults = await Promise.all(pagePromises);
-    let allQuotes = pageResults.flat();
-    
-    // Calculate the exact slice we need from the fetched quotes
-    const startIndex = offset % quotesPerPage;
-    
-    // Make sure we have enough quotes to satisfy the request
-    if (allQuotes.length < startIndex + limit) {
-      console.warn(`⚠️ Warning: Not enough quotes fetched. Requested ${limit} quotes starting at offset ${offset}, but only got ${allQuotes.length} quotes total.`);
-      console.warn(`⚠️ This might be because we're using minimum quotes per page (${quotesPerPage}) as the limiting factor.`);
-      
-      // Try to fetch more pages if needed
-      let additionalPage = endPage + 1;
-      while (allQuotes.length < startIndex + limit && additionalPage <= this.pageMetadata?.totalPages) {
-        console.log(`📄 Fetching additional page ${additionalPage} to satisfy request...`);
-        const additionalQuotes = await this.fetchQuotesFromPage(additionalPage);
-        allQuotes = allQuotes.concat(additionalQuotes);
-        additionalPage++;
+    const { pages, failures } = await this.fetchPages(expectedPages, source, { onProgress });
+
+    // Walk the real pages from the start position, loading more if some held fewer quotes than expected
+    const quotes = [];
+    let { page, index } = start;
+    while (quotes.length < limit && page <= totalPages) {
+      if (!pages.has(page) && !failures.some(failure => failure.details.page === page)) {
+        const { pages: more, failures: moreFailures } = await this.fetchPages([page], source, { onProgress });
+        more.forEach((pageQuotes, pageNum) => pages.set(pageNum, pageQuotes));
+        failures.push(...moreFailures);
+      }
+
+      // Stop at a page that failed so the cursor resumes at it rather than skipping its quotes
+      if (!pages.has(page)) {
+        console.warn(`⚠️ Page ${page} of ${source.name} could not be loaded, returning a short window`);
+        break;
+      }
+      const pageQuotes = pages.get(page);
+
+      const taken = pageQuotes.slice(index, index + limit - quotes.length);
+      quotes.push(...taken);
+      index += taken.length;
+      if (index >= pageQuotes.length) {
+        page++;
+        index = 0;
       }
     }
-    
-    // Get the exact slice we need
-    const result = allQuotes.slice(startIndex, startIndex + limit);
-    
-    // Verify we got the requested number of quotes
-    if (result.length < limit) {
-      console.warn(`⚠️ Could only return ${result.length}/${limit} requested quotes. This may be all that's available.`);
-      console.warn(`⚠️ Consider using avgQuotesPerPage (${avgQuotesPerPage}) instead of minQuotesPerPage (${quotesPerPage}) for better estimates.`);
-    } else {
-      console.log(`✅ Successfully returning ${result.length} quotes as requested`);
+
+    throwIfNothingLoaded(quotes.length, failures);
+    reportProgress(onProgress, 'select', `Selecting ${quotes.length} quotes...`, { candidates: quotes.length });
+
+    // Counts now include every page just loaded
+    const counts = pageCountsFromMetadata(this.metadataBySource.get(source.name));
+    const hasMore = page <= totalPages;
+    const next = { source: source.name, page, index };
+
+    if (prefetch && hasMore) {
+      this.prefetchPages(source, index === 0 ? page : page + 1, totalPages);
     }
-    
-    return result;
+
+    console.log(`✅ Returning ${quotes.length} quotes (${hasMore ? 'more available' : 'end of listing'})`);
+    return {
+      quotes,
+      offset: offsetOfPosition(counts, start),
+      total: totalOf(counts),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(next) : null,
+      failures
+    };
   }
-  
-  // Helper method to shuffle an array
-  shuffleArray(array) {
-    const newArray = [...array];
-    for (let i = newArray.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+
+  // Keep a page's real quote count in the source's metadata (and its cached copy)
+  // so offsets and totals follow the site as pages are loaded
+  async recordPageCount(source, pageNum, count) {
+    const metadata = this.metadataBySource.get(source.name);
+    if (!metadata || pageNum > metadata.totalPages) {
+      return;
+    }
+
+    const counts = pageCountsFromMetadata(metadata);
+    if (metadata.pageCounts && counts[pageNum - 1] === count) {
+      return;
+    }
+
+    counts[pageNum - 1] = count;
+    metadata.pageCounts = counts;
+    metadata.totalQuotes = totalOf(counts);
+    await this.cacheStore.set(`metadata/${source.name}`, metadata);
+  }
+
+  // Warm the cache with up to config.prefetchPages pages starting at firstPage.
+  // Pages already cached or being fetched are skipped; nothing is awaited.
+  prefetchPages(source, firstPage, totalPages = null) {
+    const lastPage = Math.min(firstPage + this.config.prefetchPages - 1, totalPages || Infinity);
+
+    for (let pageNum = firstPage; pageNum <= lastPage; pageNum++) {
+      const cacheKey = this.pageCacheKey(source, pageNum);
+      if (this.inFlightPages.has(cacheKey)) {
+        continue;
+      }
+
+      this.revalidateInBackground(`prefetch:${cacheKey}`, async () => {
+        const cached = await this.getCachedPage(cacheKey);
+        if (cached && cached.fresh) {
+          return;
+        }
+        this.metrics.recordPrefetch();
+        console.log(`🔮 Prefetching ${source.name} page ${pageNum}`);
+        await this.fetchQuotesFromPage(pageNum, source, { forceRefresh: true });
+      });
     }
-    return newArray;
+  }
+
+  // Helper method to shuffle an array
+  shuffleArray(array, random = Math.random) {
+    return shuffle(array, random);
   }
 
   async close() {
+    this.closing = true;
     if (this.browser) {
+      await this.pages.close();
       await this.browser.close();
       console.log('🔒 Browser closed');
     }
@@ -582,57 +1808,9 @@ class QuoteScraper {
     if (!authorUrl) return null;
     
     console.log(`🔍 Extracting Goodreads link from ${authorUrl}`);
-    const page = await this.browser.newPage();
     
     try {
-      await page.goto(authorUrl, { 
-        waitUntil: 'networkidle2',
-        timeout: this.config.timeout 
-      });
-      
-      // Use Puppeteer's more advanced capabilities to extract the correct link
-      const goodreadsUrl = await page.evaluate(async () => {
-        // Helper function to get href from an element
-        const getHref = (element) => element ? element.href : null;
-        
-        // First, try to find the exact "Goodreads page" link text
-        const goodreadsPageLinks = Array.from(document.querySelectorAll('a'));
-        for (const link of goodreadsPageLinks) {
-          if (link.textContent.trim() === 'Goodreads page') {
-            console.log('Found exact Goodreads page link');
-            return link.href;
-          }
-        }
-        
-        // Next, look for links with href containing goodreads.com/author
-        const goodreadsAuthorLinks = Array.from(document.querySelectorAll('a[href*="goodreads.com/author"]'));
-        if (goodreadsAuthorLinks.length > 0) {
-          console.log('Found Goodreads author link');
-          return goodreadsAuthorLinks[0].href;
-        }
-        
-        // Try to find links that contain both "goodreads" and "author" in the URL
-        const allLinks = Array.from(document.querySelectorAll('a[href*="goodreads.com"]'));
-        const authorLink = allLinks.find(link => link.href.includes('/author/'));
-        if (authorLink) {
-          console.log('Found author link in Goodreads URL');
-          return authorLink.href;
-        }
-        
-        // If still not found, look for any Goodreads links
-        if (allLinks.length > 0) {
-          console.log('Found generic Goodreads link');
-          return allLinks[0].href;
-        }
-        
-        // Last resort: look for any link with "goodreads" text
-        const textLinks = Array.from(document.querySelectorAll('a'));
-        const goodreadsTextLink = textLinks.find(link => 
-          link.textContent.toLowerCase().includes('goodreads')
-        );
-        
-        return goodreadsTextLink ? goodreadsTextLink.href : null;
-      });
+      const goodreadsUrl = await this.evaluateDocument(authorUrl, findAuthorGoodreadsLink, authorUrl);
       
       // If we found a URL but it's not a proper author URL, try to convert it
       if (goodreadsUrl) {
@@ -653,20 +1831,65 @@ class QuoteScraper {
     } catch (error) {
       console.error(`❌ Error extracting Goodreads link: ${error.message}`);
       return null;
-    } finally {
-      await page.close();
     }
   }
   
+  // Lifecycle summary for the /health endpoint
+  getHealth() {
+    return {
+      state: this.state,
+      mode: this.config.mode,
+      browser: this.isHttpMode ? null : {
+        connected: !!this.browser && this.browser.isConnected(),
+        relaunching: !!this.relaunching,
+        crashes: this.metrics.browserCrashes,
+        relaunches: this.metrics.browserRelaunches,
+        lastCrashAt: this.lastCrashAt ? new Date(this.lastCrashAt).toISOString() : null
+      },
+      lastError: this.lastError,
+      session: this.session.toJSON(),
+      fixtures: this.fixtures ? this.fixtures.mode : null
+    };
+  }
+
   // Utility method to get statistics
   getStats() {
     return {
       totalUrlsCollected: this.quoteUrls.length,
       totalQuotesScraped: this.scrapedQuotes.length,
-      isLoggedIn: !!this.isLoggedIn,
+      cachedPages: this.pageCache.size,
+      cache: {
+        persistent: this.cacheStore.enabled,
+        dir: this.config.cacheDir || null,
+        ttlSeconds: this.config.cacheTtlSeconds
+      },
+      totalPages: this.pageMetadata?.totalPages || null,
+      source: this.source.name,
+      mode: this.config.mode,
+      state: this.state,
+      pagePool: this.pages ? this.pages.toJSON() : null,
+      fixtures: this.fixtures ? this.fixtures.toJSON() : null,
+      isLoggedIn: this.isLoggedIn,
+      session: this.session.toJSON(),
+      metrics: this.metrics.toJSON(),
       config: this.config
     };
   }
+
+  // Statistics in Prometheus text format for the /metrics endpoint
+  getPrometheusMetrics() {
+    return this.metrics.toPrometheus({
+      cached_pages: { help: 'Listing pages currently held in the page cache', value: this.pageCache.size },
+      scraped_quotes: { help: 'Unique quotes collected by the last full crawl', value: this.scrapedQuotes.length },
+      ready: { help: 'Whether the scraper is ready (1) or starting, degraded or failed (0)', value: this.state === 'ready' ? 1 : 0 },
+      logged_in: { help: 'Whether the scraper holds a logged-in session (1) or not (0)', value: this.isLoggedIn ? 1 : 0 },
+      ...(this.pages ? {
+        browser_tabs_open: { help: 'Browser tabs currently open in the page pool', value: this.pages.openCount },
+        browser_tabs_in_use: { help: 'Browser tabs currently lent out by the page pool', value: this.pages.inUse.size },
+        browser_tab_waiters: { help: 'Scrapes queued waiting for a free browser tab', value: this.pages.waiters.length }
+      } : {})
+    });
+  }
 }
 
 // CLI usage
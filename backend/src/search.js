@@ -0,0 +1,141 @@
+// Quote search over already collected quotes
+// Filters by author and tags, then ranks full-text matches so that exact
+// phrases beat scattered words and hits in the quote text beat hits in
+// author names or tags. Without a text query the original site order is kept.
+
+const SCORE = {
+  phrase: 10,     // The whole query appears verbatim in the quote text
+  textTerm: 2,    // Per occurrence of a query term in the text
+  authorTerm: 3,  // Query term appears in the author name
+  tagTerm: 4,     // Query term equals one of the tags
+  wordStart: 1    // Bonus when a text occurrence starts a word
+};
+
+function normalize(value) {
+  return value.toLowerCase().replace(/[“”"]/g, '').trim();
+}
+
+function tokenize(query) {
+  return normalize(query).split(/\s+/).filter(Boolean);
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  let wordStarts = 0;
+  let index = haystack.indexOf(needle);
+
+  while (index !== -1) {
+    count++;
+    if (index === 0 || /\W/.test(haystack[index - 1])) {
+      wordStarts++;
+    }
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+
+  return { count, wordStarts };
+}
+
+// Score a quote against the query terms; 0 means at least one term is missing entirely
+function scoreQuote(quote, phrase, terms) {
+  const text = normalize(quote.text);
+  const author = normalize(quote.author);
+  const tags = quote.tags.map(normalize);
+  let score = text.includes(phrase) ? SCORE.phrase : 0;
+
+  for (const term of terms) {
+    const { count, wordStarts } = countOccurrences(text, term);
+    const inAuthor = author.includes(term);
+    const inTags = tags.includes(term);
+
+    if (count === 0 && !inAuthor && !inTags) {
+      return 0;
+    }
+
+    score += count * SCORE.textTerm + wordStarts * SCORE.wordStart;
+    score += inAuthor ? SCORE.authorTerm : 0;
+    score += inTags ? SCORE.tagTerm : 0;
+  }
+
+  return score;
+}
+
+function matchesTags(quote, tags, tagMatch) {
+  if (tags.length === 0) {
+    return true;
+  }
+
+  const quoteTags = new Set(quote.tags.map(normalize));
+  return tagMatch === 'any'
+    ? tags.some(tag => quoteTags.has(tag))
+    : tags.every(tag => quoteTags.has(tag));
+}
+
+// Length of a quote's text without its surrounding quotation marks
+function quoteLength(quote) {
+  return quote.text.replace(/[“”"]/g, '').trim().length;
+}
+
+// Constraints for random selection: { tags, tagMatch, author, minLength, maxLength, excludeIds }.
+// excludeIds may hold quote ids or source URLs.
+function matchesFilters(quote, { tags = [], tagMatch = 'all', author = '', minLength = null, maxLength = null, excludeIds = [] } = {}) {
+  if (author && !normalize(quote.author).includes(normalize(author))) {
+    return false;
+  }
+  if (!matchesTags(quote, tags.map(normalize), tagMatch)) {
+    return false;
+  }
+
+  const length = quoteLength(quote);
+  if ((minLength !== null && length < minLength) || (maxLength !== null && length > maxLength)) {
+    return false;
+  }
+
+  return !excludeIds.includes(quote.id) && !excludeIds.includes(quote.sourceUrl);
+}
+
+function hasFilters({ tags = [], author = '', minLength = null, maxLength = null, excludeIds = [] } = {}) {
+  return tags.length > 0 || !!author || minLength !== null || maxLength !== null || excludeIds.length > 0;
+}
+
+// Returns { results, total, page, limit, totalPages } for a page of ranked matches
+function searchQuotes(quotes, { q = '', author = '', tags = [], tagMatch = 'all', page = 1, limit = 20 } = {}) {
+  const terms = tokenize(q);
+  const phrase = terms.join(' ');
+  const authorQuery = normalize(author);
+  const tagQuery = tags.map(normalize);
+
+  const matches = [];
+  quotes.forEach((quote, position) => {
+    if (authorQuery && !normalize(quote.author).includes(authorQuery)) {
+      return;
+    }
+    if (!matchesTags(quote, tagQuery, tagMatch)) {
+      return;
+    }
+
+    const score = terms.length > 0 ? scoreQuote(quote, phrase, terms) : 0;
+    if (terms.length > 0 && score === 0) {
+      return;
+    }
+
+    matches.push({ quote, score, position });
+  });
+
+  // Highest score first; ties keep collection order so results are stable across pages
+  matches.sort((a, b) => b.score - a.score || a.position - b.position);
+
+  const start = (page - 1) * limit;
+  return {
+    results: matches.slice(start, start + limit).map(match => match.quote),
+    total: matches.length,
+    page,
+    limit,
+    totalPages: Math.ceil(matches.length / limit)
+  };
+}
+
+module.exports = {
+  searchQuotes,
+  matchesFilters,
+  hasFilters
+};
@@ -0,0 +1,182 @@
+const { isTimeoutError } = require('./metrics');
+
+// Authenticated session for a quote source
+// Saves the session cookies after a successful login and restores them on the
+// next start, so restarts and Lambda cold starts don't log in again. Listing
+// pages report whether they were served to a logged-in user; when a session
+// that should be live comes back logged out, the caller asks for a re-login.
+//
+// States:
+//   anonymous    no credentials configured
+//   logged-out   credentials configured, no login attempted yet
+//   restored     cookies loaded from disk, not yet confirmed by a page
+//   logged-in    confirmed by a login or by a listing page
+//   expired      a listing page came back logged out
+//   failed       the last login attempt didn't succeed
+//   unsupported  the source has no login form
+
+class SessionManager {
+  constructor({ source, store, metrics, credentials, authenticate, cookieJar }) {
+    this.source = source;
+    this.store = store; // CacheStore for saved cookies
+    this.metrics = metrics;
+    this.credentials = credentials;
+    this.authenticate = authenticate; // Submits the login form: resolves true/false, or null without a form
+    this.cookieJar = cookieJar; // { export(), import(cookies) } for the active scraping mode
+    this.state = this.hasCredentials ? 'logged-out' : 'anonymous';
+    this.loggedInAt = null;
+    this.verifiedAt = null;
+    this.restoredFromDisk = false;
+    this.relogins = 0;
+    this.lastError = null;
+    this.pendingLogin = null;
+  }
+
+  get hasCredentials() {
+    return !!(this.credentials && this.credentials.username && this.credentials.password);
+  }
+
+  get isLoggedIn() {
+    return this.state === 'logged-in' || this.state === 'restored';
+  }
+
+  get storeKey() {
+    return `sessions/${this.source.name}`;
+  }
+
+  // Whether a source is served from the same site as the session, so its pages share the cookies
+  covers(source) {
+    return new URL(source.baseUrl).origin === new URL(this.source.baseUrl).origin;
+  }
+
+  // Reuse cookies saved by an earlier run. Resolves to true when a session was restored.
+  async restore() {
+    if (!this.hasCredentials) {
+      return false;
+    }
+
+    const saved = await this.store.get(this.storeKey);
+    if (!saved || !saved.value.cookies || saved.value.cookies.length === 0) {
+      return false;
+    }
+
+    try {
+      await this.cookieJar.import(saved.value.cookies);
+    } catch (error) {
+      console.warn(`⚠️ Could not restore saved session for ${this.source.name}: ${error.message}`);
+      return false;
+    }
+
+    this.state = 'restored';
+    this.loggedInAt = saved.value.loggedInAt || saved.storedAt;
+    this.restoredFromDisk = true;
+    console.log(`🍪 Restored saved session for ${this.source.name} (logged in ${new Date(this.loggedInAt).toISOString()})`);
+    return true;
+  }
+
+  // Log in, sharing one attempt between concurrent callers
+  async login(reason = 'startup') {
+    if (!this.hasCredentials) {
+      return false;
+    }
+
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.attemptLogin(reason).finally(() => {
+        this.pendingLogin = null;
+      });
+    }
+    return this.pendingLogin;
+  }
+
+  async attemptLogin(reason) {
+    console.log(`🔑 Attempting to login to ${this.source.name} (${reason})...`);
+
+    try {
+      const succeeded = await this.authenticate();
+
+      // No login form on the page - nothing to attempt
+      if (succeeded === null) {
+        console.log('⚠️ No login form found on the page');
+        this.state = 'unsupported';
+        return false;
+      }
+
+      this.metrics.recordLoginAttempt(succeeded);
+      if (!succeeded) {
+        console.log('❌ Login failed');
+        this.state = 'failed';
+        this.lastError = 'Login was rejected';
+        return false;
+      }
+
+      console.log('✅ Login successful');
+      this.state = 'logged-in';
+      this.loggedInAt = Date.now();
+      this.verifiedAt = this.loggedInAt;
+      this.restoredFromDisk = false;
+      this.lastError = null;
+      if (reason !== 'startup') {
+        this.relogins++;
+      }
+      await this.save();
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error during login:', error.message);
+      this.state = 'failed';
+      this.lastError = error.message;
+      this.metrics.recordLoginAttempt(false);
+      if (isTimeoutError(error)) {
+        this.metrics.recordNavigationTimeout();
+      }
+      return false;
+    }
+  }
+
+  async save() {
+    try {
+      const cookies = await this.cookieJar.export();
+      await this.store.set(this.storeKey, { cookies, loggedInAt: this.loggedInAt });
+    } catch (error) {
+      console.warn(`⚠️ Could not save session for ${this.source.name}: ${error.message}`);
+    }
+  }
+
+  // Record what a freshly loaded page said about the session. Returns true
+  // when the session has expired and should be renewed; pages that notice
+  // while a re-login is under way share it through login().
+  observePage(loggedIn) {
+    if (loggedIn === null || loggedIn === undefined || !this.hasCredentials) {
+      return false;
+    }
+
+    if (loggedIn) {
+      this.state = 'logged-in';
+      this.verifiedAt = Date.now();
+      return false;
+    }
+
+    if (this.isLoggedIn) {
+      console.log(`⌛ Session for ${this.source.name} has expired`);
+      this.state = 'expired';
+    }
+    return this.state === 'expired';
+  }
+
+  toJSON() {
+    const timestamp = value => value ? new Date(value).toISOString() : null;
+    return {
+      source: this.source.name,
+      state: this.state,
+      loggedIn: this.isLoggedIn,
+      loggedInAt: timestamp(this.loggedInAt),
+      verifiedAt: timestamp(this.verifiedAt),
+      restoredFromDisk: this.restoredFromDisk,
+      persistent: this.store.enabled,
+      relogins: this.relogins,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = SessionManager;
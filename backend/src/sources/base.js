@@ -0,0 +1,327 @@
+// Base quote source adapter
+// An adapter knows how to build listing URLs for a site, detect whether
+// a listing has another page, and extract quote objects from a listing,
+// either from a Puppeteer page or from an HTML document parsed in Node.
+// Sites that follow the usual ".quote/.text/.author/.tags" layout only
+// need to supply a base URL and selectors; anything else can override
+// the individual methods.
+
+const DEFAULT_SELECTORS = {
+  quote: '.quote',
+  text: '.text',
+  author: '.author',
+  authorLink: '.author + a',
+  tag: '.tags .tag',
+  nextPage: '.pager .next a',
+  // Header links that show whether the page was served to a logged-in user
+  logoutLink: 'a[href*="logout"]',
+  loginLink: 'a[href*="login"]',
+  topTag: '.tags-box .tag-item a', // Top tags cloud shown beside the listings
+  // Author biography pages
+  authorTitle: '.author-title',
+  authorBornDate: '.author-born-date',
+  authorBornLocation: '.author-born-location',
+  authorDescription: '.author-description'
+};
+
+class QuoteSource {
+  constructor({ name, baseUrl, loginUrl = null, selectors = {}, waitUntil = 'networkidle2', renderTimeout = 5000 }) {
+    if (!name || !baseUrl) {
+      throw new Error('Quote sources require a name and a baseUrl');
+    }
+
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.loginUrl = loginUrl;
+    this.selectors = { ...DEFAULT_SELECTORS, ...selectors };
+    this.waitUntil = waitUntil;
+    this.renderTimeout = renderTimeout; // How long to wait for quotes to appear in a browser tab
+  }
+
+  // URL of a listing page (1-based)
+  buildPageUrl(pageNum) {
+    return `${this.baseUrl}/page/${pageNum}/`;
+  }
+
+  // URL of a page of quotes filed under a tag (1-based)
+  buildTagPageUrl(tag, pageNum) {
+    return `${this.baseUrl}/tag/${encodeURIComponent(tag)}/page/${pageNum}/`;
+  }
+
+  // URL of a listing page, or of a tag listing page when a tag is given
+  buildListingUrl(pageNum, tag = null) {
+    return tag ? this.buildTagPageUrl(tag, pageNum) : this.buildPageUrl(pageNum);
+  }
+
+  // URL of an author biography page
+  buildAuthorUrl(slug) {
+    return `${this.baseUrl}/author/${encodeURIComponent(slug)}`;
+  }
+
+  // Slug of an author: taken from their page URL when known, otherwise derived
+  // from the name the way the site does ("Albert Einstein" -> "Albert-Einstein")
+  authorSlug(name, authorPageUrl = null) {
+    if (authorPageUrl) {
+      const slug = new URL(authorPageUrl).pathname.split('/').filter(Boolean).pop();
+      if (slug) {
+        return slug;
+      }
+    }
+
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  // Load one listing page and extract its quotes. Sources whose listings aren't
+  // plain HTML pages (rendered by JavaScript, infinite scroll) override these.
+  // onSessionState, when given, receives whether the page was served logged in
+  // (true/false, or null when the page doesn't say); onNextPage receives
+  // whether the page links to a next one.
+  async loadListingOverHttp(http, pageNum, tag = null, { onSessionState = null, onNextPage = null } = {}) {
+    const { document, url } = await http.fetchDocument(this.buildListingUrl(pageNum, tag));
+    if (onSessionState) {
+      onSessionState(this.isLoggedInDocument(document));
+    }
+    if (onNextPage) {
+      onNextPage(this.nextPageUrlInDocument(document, url) !== null);
+    }
+    return this.extractQuotesFromDocument(document, pageNum, tag);
+  }
+
+  async loadListingInBrowser(page, pageNum, tag = null, { timeout, onSessionState = null, onNextPage = null }) {
+    await page.goto(this.buildListingUrl(pageNum, tag), {
+      waitUntil: this.waitUntil,
+      timeout
+    });
+    if (onSessionState) {
+      onSessionState(await this.isLoggedInPage(page));
+    }
+    const quotes = await this.extractQuotes(page, pageNum, tag);
+    if (onNextPage) {
+      onNextPage(await this.findNextPageLink(page) !== null);
+    }
+    return quotes;
+  }
+
+  // Session detection from the header's Login/Logout link
+  isLoggedInDocument(document) {
+    return detectLoggedIn(document, { selectors: this.selectors });
+  }
+
+  async isLoggedInPage(page) {
+    return page.evaluate(`(${detectLoggedIn.toString()})(document, ${JSON.stringify({ selectors: this.selectors })})`);
+  }
+
+  // Page walkers step through the listing one page at a time to measure it:
+  // { open(url), countQuotes(), next() }, where next() resolves to false on the last page
+  createHttpWalker(http) {
+    let current = null;
+    return {
+      open: async (url) => { current = await http.fetchDocument(url); },
+      countQuotes: async () => this.countQuotesInDocument(current.document),
+      next: async () => {
+        const nextUrl = this.nextPageUrlInDocument(current.document, current.url);
+        if (!nextUrl) {
+          return false;
+        }
+        current = await http.fetchDocument(nextUrl);
+        return true;
+      }
+    };
+  }
+
+  createBrowserWalker(page, { timeout }) {
+    return {
+      open: (url) => page.goto(url, { waitUntil: this.waitUntil, timeout }),
+      countQuotes: () => this.countQuotes(page),
+      next: async () => {
+        const nextButton = await this.findNextPageLink(page);
+        if (!nextButton) {
+          return false;
+        }
+        // Click the next button with optimized navigation
+        await Promise.all([
+          nextButton.click(),
+          page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }) // Faster navigation
+        ]);
+        return true;
+      }
+    };
+  }
+
+  // Pagination detection: resolves to the "next" link handle, or null on the last page
+  async findNextPageLink(page) {
+    return page.$(this.selectors.nextPage);
+  }
+
+  async countQuotes(page) {
+    return page.$$eval(this.selectors.quote, quotes => quotes.length);
+  }
+
+  // Extract raw quote objects from a listing page opened in Puppeteer
+  async extractQuotes(page, pageNum, tag = null) {
+    await page.waitForSelector(this.selectors.quote, { timeout: this.renderTimeout });
+
+    const context = this.extractionContext(pageNum, tag);
+    return page.evaluate(`(${extractQuotesFromDocument.toString()})(document, ${JSON.stringify(context)})`);
+  }
+
+  // Extract raw quote objects from an already parsed listing document
+  extractQuotesFromDocument(document, pageNum, tag = null) {
+    return extractQuotesFromDocument(document, this.extractionContext(pageNum, tag));
+  }
+
+  // Names in the top tags cloud, most popular first
+  async extractTopTags(page) {
+    return page.evaluate(`(${extractTopTagsFromDocument.toString()})(document, ${JSON.stringify({ selectors: this.selectors })})`);
+  }
+
+  extractTopTagsFromDocument(document) {
+    return extractTopTagsFromDocument(document, { selectors: this.selectors });
+  }
+
+  // Extract biography details from an author page opened in Puppeteer
+  async extractAuthor(page) {
+    return page.evaluate(`(${extractAuthorFromDocument.toString()})(document, ${JSON.stringify({ selectors: this.selectors })})`);
+  }
+
+  extractAuthorFromDocument(document) {
+    return extractAuthorFromDocument(document, { selectors: this.selectors });
+  }
+
+  // Document equivalents of findNextPageLink/countQuotes for the HTTP scraping mode:
+  // absolute URL of the next listing page, or null on the last page
+  nextPageUrlInDocument(document, pageUrl) {
+    const link = document.querySelector(this.selectors.nextPage);
+    return link ? new URL(link.getAttribute('href'), pageUrl).href : null;
+  }
+
+  countQuotesInDocument(document) {
+    return document.querySelectorAll(this.selectors.quote).length;
+  }
+
+  extractionContext(pageNum, tag = null) {
+    return {
+      selectors: this.selectors,
+      pageNum,
+      pageUrl: this.buildListingUrl(pageNum, tag),
+      origin: new URL(this.baseUrl).origin
+    };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      baseUrl: this.baseUrl
+    };
+  }
+}
+
+// Runs inside the browser via page.evaluate as well as in Node against a
+// parsed DOM, so it must only use standard DOM APIs and its arguments
+function extractQuotesFromDocument(document, { selectors, pageNum, pageUrl, origin }) {
+  const results = [];
+
+  document.querySelectorAll(selectors.quote).forEach((quote, index) => {
+    const textElement = quote.querySelector(selectors.text);
+    const authorElement = quote.querySelector(selectors.author);
+
+    if (!textElement || !authorElement) {
+      return;
+    }
+
+    const text = textElement.textContent.trim();
+    const author = authorElement.textContent.trim();
+
+    // Extract author page URL if available
+    let authorPageUrl = null;
+    const authorLinkElement = selectors.authorLink ? quote.querySelector(selectors.authorLink) : null;
+    const authorHref = authorLinkElement && authorLinkElement.getAttribute('href');
+    if (authorHref) {
+      authorPageUrl = new URL(authorHref, origin).href;
+    }
+
+    // Look for the specific "Goodreads page" link. Listing pages usually only
+    // link the author page, so this stays undefined (QuoteSchema allows that)
+    let goodreadsUrl;
+    const goodreadsPageLink = Array.from(quote.querySelectorAll('a')).find(link => {
+      const href = link.getAttribute('href') || '';
+      return link.textContent.trim() === 'Goodreads page' || href.includes('goodreads.com/author');
+    });
+    if (goodreadsPageLink) {
+      goodreadsUrl = new URL(goodreadsPageLink.getAttribute('href'), origin).href;
+    }
+
+    const tags = Array.from(quote.querySelectorAll(selectors.tag))
+      .map(tag => tag.textContent.trim());
+
+    // The stable id is a content hash added by the scraper (see quoteId.js),
+    // since hashing isn't available inside page.evaluate
+    results.push({
+      text: text,
+      author: author,
+      authorPageUrl: authorPageUrl,
+      goodreadsUrl: goodreadsUrl,
+      tags: tags,
+      sourceUrl: `${pageUrl}#${index}`,
+      pageNumber: pageNum,
+      quoteIndex: index
+    });
+  });
+
+  return results;
+}
+
+// Same constraints as extractQuotesFromDocument. Returns null when the
+// page has no author title, e.g. an unknown slug
+function extractAuthorFromDocument(document, { selectors }) {
+  const read = selector => {
+    const element = selector ? document.querySelector(selector) : null;
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  };
+
+  const name = read(selectors.authorTitle);
+  if (!name) {
+    return null;
+  }
+
+  return {
+    name,
+    bornDate: read(selectors.authorBornDate) || undefined,
+    bornLocation: read(selectors.authorBornLocation).replace(/^in\s+/, '') || undefined,
+    description: read(selectors.authorDescription) || undefined
+  };
+}
+
+// Same constraints as extractQuotesFromDocument
+function detectLoggedIn(document, { selectors }) {
+  if (selectors.logoutLink && document.querySelector(selectors.logoutLink)) {
+    return true;
+  }
+  if (selectors.loginLink && document.querySelector(selectors.loginLink)) {
+    return false;
+  }
+  return null;
+}
+
+// Same constraints as extractQuotesFromDocument
+function extractTopTagsFromDocument(document, { selectors }) {
+  if (!selectors.topTag) {
+    return [];
+  }
+
+  return Array.from(document.querySelectorAll(selectors.topTag))
+    .map(link => link.textContent.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  QuoteSource,
+  DEFAULT_SELECTORS,
+  extractQuotesFromDocument,
+  extractAuthorFromDocument,
+  extractTopTagsFromDocument
+};
@@ -0,0 +1,61 @@
+const path = require('path');
+const config = require('../config');
+const { ValidationError } = require('../errors');
+const { QuoteSource } = require('./base');
+const QuotesToScrapeSource = require('./quotesToScrape');
+const { JsRenderedSource, ScrollSource, TablefulSource } = require('./quotesToScrapeVariants');
+
+// Registry of quote source adapters, keyed by name
+const sources = new Map();
+
+function registerSource(source) {
+  if (!(source instanceof QuoteSource)) {
+    throw new Error('Quote sources must extend QuoteSource');
+  }
+  sources.set(source.name, source);
+  return source;
+}
+
+function getSource(name = config.sources.default) {
+  const source = sources.get(name);
+  if (!source) {
+    // Names usually come from a request's `source`, so an unknown one is the caller's mistake
+    const available = listSources().map(s => s.name).join(', ');
+    throw new ValidationError(`Unknown quote source: ${name}. Available sources: ${available}`, [
+      { field: 'source', message: `Expected one of ${available}`, code: 'invalid_source' }
+    ]);
+  }
+  return source;
+}
+
+function listSources() {
+  return Array.from(sources.values()).map(source => source.describe());
+}
+
+// Load adapters from modules named in QUOTE_SOURCE_MODULES. Each module
+// exports a QuoteSource instance, or a function returning one or more.
+function loadSourceModules(modulePaths) {
+  modulePaths.forEach(modulePath => {
+    const exported = require(path.resolve(modulePath));
+    const loaded = typeof exported === 'function' && !(exported.prototype instanceof QuoteSource)
+      ? exported({ QuoteSource })
+      : exported;
+
+    [].concat(loaded).forEach(registerSource);
+    console.log(`🔌 Loaded quote source module ${modulePath}`);
+  });
+}
+
+registerSource(new QuotesToScrapeSource());
+registerSource(new JsRenderedSource({ variantPath: '/js' }));
+registerSource(new JsRenderedSource({ variantPath: '/js-delayed', renderTimeout: 20000 }));
+registerSource(new ScrollSource());
+registerSource(new TablefulSource());
+loadSourceModules(config.sources.modules);
+
+module.exports = {
+  QuoteSource,
+  registerSource,
+  getSource,
+  listSources
+};
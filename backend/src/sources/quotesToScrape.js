@@ -0,0 +1,17 @@
+const { QuoteSource } = require('./base');
+
+// quotes.toscrape.com - the default source
+class QuotesToScrapeSource extends QuoteSource {
+  constructor(options = {}) {
+    const baseUrl = options.baseUrl || 'https://quotes.toscrape.com';
+
+    super({
+      name: 'quotes.toscrape.com',
+      baseUrl,
+      loginUrl: process.env.QUOTES_LOGIN_URL || `${baseUrl}/login`,
+      ...options
+    });
+  }
+}
+
+module.exports = QuotesToScrapeSource;
@@ -0,0 +1,325 @@
+const QuotesToScrapeSource = require('./quotesToScrape');
+
+// Alternate layouts of quotes.toscrape.com, each served under its own path:
+//   /js/          quotes rendered client-side from an inline `var data = [...]`
+//   /js-delayed/  the same, but rendered after a ~10 second delay
+//   /scroll       infinite scroll backed by the JSON API at /api/quotes?page=N
+//   /tableful/    quotes laid out as table rows instead of .quote blocks
+// In browser mode every variant is scraped from the rendered page, which makes
+// them useful for exercising the pipeline against dynamic pages. In http mode
+// the JavaScript variants read the embedded data and /scroll reads its API.
+// All of them produce the same raw quote objects as the plain listing.
+
+class QuotesToScrapeVariant extends QuotesToScrapeSource {
+  constructor({ variantPath, ...options }) {
+    super(options);
+    this.variantPath = variantPath;
+  }
+
+  buildPageUrl(pageNum) {
+    return `${this.baseUrl}${this.variantPath}/page/${pageNum}/`;
+  }
+
+  buildTagPageUrl(tag, pageNum) {
+    return `${this.baseUrl}${this.variantPath}/tag/${encodeURIComponent(tag)}/page/${pageNum}/`;
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      variant: this.variantPath
+    };
+  }
+}
+
+// /js/ and /js-delayed/
+class JsRenderedSource extends QuotesToScrapeVariant {
+  constructor({ variantPath = '/js', ...options } = {}) {
+    super({
+      name: `quotes.toscrape.com${variantPath}`,
+      variantPath,
+      ...options
+    });
+  }
+
+  // Quotes only exist once the page script has run, which may be well after load
+  async countQuotes(page) {
+    await page.waitForSelector(this.selectors.quote, { timeout: this.renderTimeout }).catch(() => null);
+    return super.countQuotes(page);
+  }
+
+  extractQuotesFromDocument(document, pageNum, tag = null) {
+    const data = readEmbeddedQuoteData(document);
+    if (!data) {
+      return super.extractQuotesFromDocument(document, pageNum, tag);
+    }
+    const context = this.extractionContext(pageNum, tag);
+    return data.map((item, index) => quoteFromData(item, index, context));
+  }
+
+  countQuotesInDocument(document) {
+    const data = readEmbeddedQuoteData(document);
+    return data ? data.length : super.countQuotesInDocument(document);
+  }
+}
+
+// /scroll
+class ScrollSource extends QuotesToScrapeSource {
+  constructor(options = {}) {
+    super({
+      name: 'quotes.toscrape.com/scroll',
+      ...options
+    });
+    this.quotesPerPage = 10; // Batch size of the scroll API
+  }
+
+  get scrollUrl() {
+    return `${this.baseUrl}/scroll`;
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      variant: '/scroll'
+    };
+  }
+
+  // Each "page" is one batch of the API the scroll listing loads from
+  buildPageUrl(pageNum) {
+    return `${this.baseUrl}/api/quotes?page=${pageNum}`;
+  }
+
+  buildTagPageUrl(tag, pageNum) {
+    return `${this.buildPageUrl(pageNum)}&tag=${encodeURIComponent(tag)}`;
+  }
+
+  async loadListingOverHttp(http, pageNum, tag = null, { onNextPage = null } = {}) {
+    const data = await http.fetchJson(this.buildListingUrl(pageNum, tag));
+    if (onNextPage) {
+      onNextPage(!!data.has_next);
+    }
+    const context = this.extractionContext(pageNum, tag);
+    return data.quotes.map((item, index) => quoteFromData(item, index, context));
+  }
+
+  async loadListingInBrowser(page, pageNum, tag = null, { timeout, onNextPage = null }) {
+    const context = this.extractionContext(pageNum, tag);
+
+    // The scroll page has no tag view, so tag batches come straight from the API
+    if (tag) {
+      await page.goto(context.pageUrl, { waitUntil: this.waitUntil, timeout });
+      const data = JSON.parse(await page.evaluate(() => document.body.innerText));
+      if (onNextPage) {
+        onNextPage(!!data.has_next);
+      }
+      return data.quotes.map((item, index) => quoteFromData(item, index, context));
+    }
+
+    await page.goto(this.scrollUrl, { waitUntil: this.waitUntil, timeout });
+    await scrollUntilCount(page, this.selectors.quote, pageNum * this.quotesPerPage, this.renderTimeout);
+
+    // Extract everything rendered so far, then keep this page's batch
+    const start = (pageNum - 1) * this.quotesPerPage;
+    const rendered = await this.extractQuotes(page, pageNum, tag);
+    return rendered
+      .slice(start, start + this.quotesPerPage)
+      .map((quote, index) => ({
+        ...quote,
+        sourceUrl: `${context.pageUrl}#${index}`,
+        quoteIndex: index
+      }));
+  }
+
+  createHttpWalker(http) {
+    let current = null;
+    return {
+      open: async () => { current = await http.fetchJson(this.buildPageUrl(1)); },
+      countQuotes: async () => current.quotes.length,
+      next: async () => {
+        if (!current.has_next) {
+          return false;
+        }
+        current = await http.fetchJson(this.buildPageUrl(current.page + 1));
+        return true;
+      }
+    };
+  }
+
+  // Scrolls to the bottom for each "next page"; counts only the newly loaded quotes
+  createBrowserWalker(page, { timeout }) {
+    let seen = 0;
+    let latest = 0;
+    const countRendered = () => page.$$eval(this.selectors.quote, quotes => quotes.length);
+
+    return {
+      open: async () => {
+        await page.goto(this.scrollUrl, { waitUntil: this.waitUntil, timeout });
+        await page.waitForSelector(this.selectors.quote, { timeout: this.renderTimeout });
+        latest = await countRendered();
+      },
+      countQuotes: async () => latest - seen,
+      next: async () => {
+        const before = await countRendered();
+        const after = await scrollUntilCount(page, this.selectors.quote, before + 1, this.renderTimeout);
+        if (after <= before) {
+          return false;
+        }
+        seen = before;
+        latest = after;
+        return true;
+      }
+    };
+  }
+}
+
+// /tableful/
+class TablefulSource extends QuotesToScrapeVariant {
+  constructor(options = {}) {
+    super({
+      name: 'quotes.toscrape.com/tableful',
+      variantPath: '/tableful',
+      ...options,
+      selectors: { topTag: null, ...options.selectors }
+    });
+  }
+
+  async extractQuotes(page, pageNum, tag = null) {
+    await page.waitForSelector('table', { timeout: this.renderTimeout });
+
+    const context = this.extractionContext(pageNum, tag);
+    return page.evaluate(`(${extractTablefulQuotes.toString()})(document, ${JSON.stringify(context)})`);
+  }
+
+  extractQuotesFromDocument(document, pageNum, tag = null) {
+    return extractTablefulQuotes(document, this.extractionContext(pageNum, tag));
+  }
+
+  async countQuotes(page) {
+    return (await this.extractQuotes(page, 1)).length;
+  }
+
+  countQuotesInDocument(document) {
+    return this.extractQuotesFromDocument(document, 1).length;
+  }
+
+  // The table has no pager markup, just a link reading "Next →"
+  async findNextPageLink(page) {
+    const handle = await page.evaluateHandle(() =>
+      Array.from(document.querySelectorAll('a')).find(link => link.textContent.trim().startsWith('Next')) || null
+    );
+    return handle.asElement();
+  }
+
+  nextPageUrlInDocument(document, pageUrl) {
+    const link = findTablefulNextLink(document);
+    return link ? new URL(link.getAttribute('href'), pageUrl).href : null;
+  }
+}
+
+function findTablefulNextLink(document) {
+  return Array.from(document.querySelectorAll('a'))
+    .find(link => link.textContent.trim().startsWith('Next')) || null;
+}
+
+// Quote rows read "“Text” Author: Name" and are followed by a "Tags: ..." row.
+// Runs in the browser as well as in Node, so it must be self-contained.
+function extractTablefulQuotes(document, { pageNum, pageUrl }) {
+  const results = [];
+  const cells = Array.from(document.querySelectorAll('table td'));
+
+  cells.forEach((cell, cellIndex) => {
+    const match = cell.textContent.replace(/\s+/g, ' ').trim().match(/^(.*?)\s*Author:\s*(.+)$/);
+    if (!match) {
+      return;
+    }
+
+    const tagCell = cells[cellIndex + 1];
+    const tags = tagCell && /^\s*Tags:/.test(tagCell.textContent)
+      ? Array.from(tagCell.querySelectorAll('a')).map(link => link.textContent.trim())
+      : [];
+
+    const index = results.length;
+    const text = match[1];
+    const author = match[2];
+    results.push({
+      text: text,
+      author: author,
+      authorPageUrl: null,
+      tags: tags,
+      sourceUrl: `${pageUrl}#${index}`,
+      pageNumber: pageNum,
+      quoteIndex: index
+    });
+  });
+
+  return results;
+}
+
+// The /js/ pages embed their quotes as `var data = [...]` in an inline script
+function readEmbeddedQuoteData(document) {
+  for (const script of document.querySelectorAll('script')) {
+    const code = script.textContent;
+    const declaration = code.search(/var\s+data\s*=\s*\[/);
+    if (declaration === -1) {
+      continue;
+    }
+
+    // Try each closing bracket until the array parses as JSON
+    const start = code.indexOf('[', declaration);
+    let end = code.indexOf(']', start);
+    while (end !== -1) {
+      try {
+        return JSON.parse(code.slice(start, end + 1));
+      } catch (error) {
+        end = code.indexOf(']', end + 1);
+      }
+    }
+  }
+  return null;
+}
+
+// Shape a quote from the site's JSON ({ text, author: { name, slug, goodreads_link }, tags })
+// like one extracted from a listing page
+function quoteFromData({ text, author, tags }, index, { pageNum, pageUrl, origin }) {
+  return {
+    text: text.trim(),
+    author: author.name.trim(),
+    authorPageUrl: author.slug ? `${origin}/author/${author.slug}` : null,
+    goodreadsUrl: author.goodreads_link ? new URL(author.goodreads_link, 'https://www.goodreads.com').href : undefined,
+    tags: tags || [],
+    sourceUrl: `${pageUrl}#${index}`,
+    pageNumber: pageNum,
+    quoteIndex: index
+  };
+}
+
+// Scroll to the bottom until at least `target` quotes are rendered or no more
+// load in time. Resolves to the number of quotes rendered.
+async function scrollUntilCount(page, selector, target, timeout) {
+  let count = await page.$$eval(selector, quotes => quotes.length);
+
+  while (count < target) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    try {
+      await page.waitForFunction(
+        (sel, previous) => document.querySelectorAll(sel).length > previous,
+        { timeout },
+        selector,
+        count
+      );
+    } catch (error) {
+      break; // Nothing more to load
+    }
+    count = await page.$$eval(selector, quotes => quotes.length);
+  }
+
+  return count;
+}
+
+module.exports = {
+  QuotesToScrapeVariant,
+  JsRenderedSource,
+  ScrollSource,
+  TablefulSource,
+  extractTablefulQuotes
+};
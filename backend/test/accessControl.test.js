@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessControl } = require('../src/accessControl');
+
+const STREAM_PATH = '/api/quotes/random/stream';
+
+function request({ path = '/quotes', headers = {}, query = {} } = {}) {
+  return {
+    baseUrl: '/api',
+    path,
+    query,
+    ip: '203.0.113.7',
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    headersSent: false,
+    set(values, value) {
+      Object.assign(this.headers, typeof values === 'string' ? { [values]: value } : values);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+// Run a middleware, resolving to whether it called next()
+function run(middleware, req, res = response()) {
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+});
+
+const access = createAccessControl({
+  apiKeys: [{ name: 'web', key: 'web-secret' }, { name: 'ops', key: 'ops-secret' }],
+  adminKeys: ['ops'],
+  queryKeyPaths: [STREAM_PATH]
+});
+
+test('requests are identified by key, or by IP address without one', () => {
+  const withKey = request({ headers: { 'x-api-key': 'web-secret' } });
+  assert.equal(run(access.authenticate, withKey).passed, true);
+  assert.equal(withKey.client.id, 'key:web');
+
+  const anonymous = request();
+  assert.equal(run(access.authenticate, anonymous).passed, true);
+  assert.equal(anonymous.client.id, 'ip:203.0.113.7');
+
+  const { passed, res } = run(access.authenticate, request({ headers: { 'x-api-key': 'wrong' } }));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('only the stream route reads the key from the query string', () => {
+  const stream = request({ path: '/quotes/random/stream', query: { apiKey: 'web-secret' } });
+  run(access.authenticate, stream);
+  assert.equal(stream.client.id, 'key:web');
+
+  const other = request({ path: '/quotes/all', query: { apiKey: 'web-secret' } });
+  run(access.authenticate, other);
+  assert.equal(other.client.id, 'ip:203.0.113.7');
+});
+
+test('API_KEY_REQUIRED refuses requests without a key', () => {
+  const strict = createAccessControl({ apiKeys: [{ name: 'web', key: 'web-secret' }], requireApiKey: true });
+  const { passed, res } = run(strict.authenticate, request());
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('admin routes need an admin key', () => {
+  const attempt = key => {
+    const req = request({ headers: key ? { 'x-api-key': key } : {} });
+    run(access.authenticate, req);
+    return run(access.requireAdmin, req);
+  };
+
+  assert.equal(attempt(null).res.statusCode, 401);
+  assert.equal(attempt('web-secret').res.statusCode, 403);
+  assert.equal(attempt('ops-secret').passed, true);
+});
+
+test('limitRequests answers with RateLimit headers and a 429 when the bucket is empty', () => {
+  const limited = createAccessControl({ rateLimit: { enabled: true, perMinute: 60, burst: 1 } });
+  const req = request();
+  run(limited.authenticate, req);
+
+  const first = run(limited.limitRequests, req);
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers['RateLimit-Limit'], '1');
+
+  const second = run(limited.limitRequests, req);
+  assert.equal(second.passed, false);
+  assert.equal(second.res.statusCode, 429);
+  assert.equal(second.res.headers['Retry-After'], '1');
+});
+
+test('scrape slots stay capped with request rate limiting off, and free up when the response ends', () => {
+  const limited = createAccessControl({
+    rateLimit: { enabled: false },
+    scrapeConcurrency: { enabled: true, perClient: 1, total: 5 }
+  });
+  const req = request();
+  run(limited.authenticate, req);
+
+  const first = run(limited.limitScrapes, req);
+  assert.equal(first.passed, true);
+  assert.equal(run(limited.limitScrapes, req).res.statusCode, 429);
+
+  first.res.end();
+  assert.equal(run(limited.limitScrapes, req).passed, true);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const CacheStore = require('../src/cacheStore');
+
+const store = new CacheStore({ dir: path.join('/tmp', 'quote-cache') });
+
+test('keys map to readable files under the cache directory', () => {
+  assert.equal(store.filePath('pages/quotes.toscrape.com:3'), path.join('/tmp', 'quote-cache', 'pages', 'quotes.toscrape.com_3.json'));
+  assert.equal(store.filePath('pages/quotes.toscrape.com:tag:love:1'), path.join('/tmp', 'quote-cache', 'pages', 'quotes.toscrape.com_tag_love_1.json'));
+});
+
+test('keys that would leave the cache directory are refused', () => {
+  assert.throws(() => store.filePath('pages/quotes.toscrape.com:tag:../../../../tmp/pwned:1'), /Invalid cache key/);
+  assert.throws(() => store.filePath('../outside'), /Invalid cache key/);
+  assert.throws(() => store.filePath('pages/./x'), /Invalid cache key/);
+  assert.throws(() => store.filePath('pages//x'), /Invalid cache key/);
+});
+
+test('clear only accepts plain prefixes', async () => {
+  await assert.rejects(store.clear(['..']), /Invalid cache prefix/);
+  await assert.rejects(store.clear(['pages/..']), /Invalid cache prefix/);
+});
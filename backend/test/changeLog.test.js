@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CacheStore = require('../src/cacheStore');
+const { ChangeLog, diffSnapshots } = require('../src/changeLog');
+
+const quote = (id, page, tags = []) => ({ id, text: `Quote ${id}`, author: 'Author', tags, page });
+
+function snapshot(takenAt, quotes, { pageCounts = [2, 1], failedPages = [] } = {}) {
+  return {
+    source: 'test',
+    takenAt,
+    totalPages: pageCounts ? pageCounts.length : null,
+    pageCounts,
+    failedPages,
+    quotes
+  };
+}
+
+// A disabled store keeps everything in memory
+const createLog = (options = {}) => new ChangeLog({ store: new CacheStore({ dir: '' }), ...options });
+
+test('diffSnapshots finds added, removed and re-tagged quotes', () => {
+  const before = snapshot('2024-01-01T00:00:00Z', [quote('a', 1, ['x']), quote('b', 1), quote('c', 2)]);
+  const after = snapshot('2024-01-02T00:00:00Z', [quote('a', 1, ['y']), quote('b', 1), quote('d', 2)]);
+
+  const changes = diffSnapshots(before, after);
+  assert.deepEqual(changes.added.map(q => q.id), ['d']);
+  assert.deepEqual(changes.removed.map(q => q.id), ['c']);
+  assert.equal(changes.retagged.length, 1);
+  assert.deepEqual(changes.retagged[0].addedTags, ['y']);
+  assert.deepEqual(changes.retagged[0].removedTags, ['x']);
+  assert.deepEqual(changes.pages.changed, []);
+});
+
+test('quotes on pages that failed to load are not reported as removed', () => {
+  const before = snapshot('2024-01-01T00:00:00Z', [quote('a', 1), quote('c', 2)]);
+  const after = snapshot('2024-01-02T00:00:00Z', [quote('a', 1)], { failedPages: [2] });
+
+  assert.deepEqual(diffSnapshots(before, after).removed, []);
+});
+
+test('page count changes are listed, and skipped when a run could not count', () => {
+  const before = snapshot('2024-01-01T00:00:00Z', [], { pageCounts: [10, 10] });
+  const after = snapshot('2024-01-02T00:00:00Z', [], { pageCounts: [10, 9, 1] });
+
+  assert.deepEqual(diffSnapshots(before, after).pages.changed, [
+    { page: 2, before: 10, after: 9 },
+    { page: 3, before: null, after: 1 }
+  ]);
+  assert.equal(diffSnapshots(before, snapshot('2024-01-02T00:00:00Z', [], { pageCounts: null })).pages, null);
+});
+
+test('the first snapshot is a baseline and later ones are compared with it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const log = createLog();
+
+  const baseline = await log.record(snapshot('2024-01-01T00:00:00Z', [quote('a', 1)]));
+  assert.equal(baseline.baseline, true);
+  assert.equal(baseline.changed, false);
+
+  const entry = await log.record(snapshot('2024-01-02T00:00:00Z', [quote('a', 1), quote('b', 1)]));
+  assert.equal(entry.baseline, false);
+  assert.equal(entry.changed, true);
+  assert.deepEqual(entry.summary, { added: 1, removed: 0, retagged: 0, pagesChanged: 0 });
+  assert.equal(entry.previousCrawlAt, '2024-01-01T00:00:00Z');
+});
+
+test('quotes on failed pages are carried forward instead of reappearing as new', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const log = createLog();
+
+  await log.record(snapshot('2024-01-01T00:00:00Z', [quote('a', 1), quote('c', 2)]));
+  await log.record(snapshot('2024-01-02T00:00:00Z', [quote('a', 1)], { failedPages: [2] }));
+  const entry = await log.record(snapshot('2024-01-03T00:00:00Z', [quote('a', 1), quote('c', 2)]));
+
+  assert.equal(entry.changed, false);
+});
+
+test('list filters by time and change, newest first, and keeps maxEntries', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const log = createLog({ maxEntries: 2 });
+
+  await log.record(snapshot('2024-01-01T00:00:00Z', [quote('a', 1)]));
+  await log.record(snapshot('2024-01-02T00:00:00Z', [quote('a', 1)]));
+  await log.record(snapshot('2024-01-03T00:00:00Z', [quote('a', 1), quote('b', 1)]));
+
+  const all = await log.list({ sources: ['test'] });
+  assert.deepEqual(all.map(entry => entry.crawledAt), ['2024-01-03T00:00:00Z', '2024-01-02T00:00:00Z']);
+  assert.equal((await log.list({ sources: ['test'], changedOnly: true })).length, 1);
+  assert.equal((await log.list({ sources: ['test'], since: '2024-01-02T00:00:00Z' })).length, 1);
+});
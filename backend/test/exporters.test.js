@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS } = require('../src/exporters');
+
+const quote = {
+  id: '0123456789abcdef',
+  text: 'Be yourself, "everyone" else is taken.',
+  author: 'Oscar Wilde',
+  tags: ['life', 'humor'],
+  sourceUrl: 'https://quotes.toscrape.com/page/1/#0',
+  goodreadsUrl: 'https://www.goodreads.com/author/show/3565'
+};
+
+function render(format, quotes, meta = { source: 'quotes.toscrape.com', count: quotes.length }) {
+  const { begin, item, end } = EXPORT_FORMATS[format];
+  return begin(meta) + quotes.map((q, index) => item(q, index)).join('') + end(meta);
+}
+
+test('csv quotes fields and defuses formulas', () => {
+  const output = render('csv', [quote, { ...quote, text: '=HYPERLINK("x")', tags: [] }]);
+
+  assert.ok(output.includes('"Be yourself, ""everyone"" else is taken."'));
+  assert.ok(output.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(output.includes(',life; humor,'));
+});
+
+test('jsonld exports a schema.org graph of Quotations', () => {
+  const jsonld = JSON.parse(render('jsonld', [quote, quote]));
+  assert.equal(jsonld['@graph'].length, 2);
+  assert.equal(jsonld['@graph'][0]['@type'], 'Quotation');
+  assert.equal(jsonld['@graph'][0].creator.name, 'Oscar Wilde');
+});
+
+test('ndjson writes one quote per line', () => {
+  const lines = render('ndjson', [quote, quote]).trim().split('\n');
+  assert.equal(lines.length, 2);
+  assert.deepEqual(JSON.parse(lines[1]), quote);
+});
+
+test('markdown keeps every line of a quote in the blockquote and escapes formatting', () => {
+  const item = EXPORT_FORMATS.md.item({ ...quote, text: 'First *line*\nSecond line' }, 0);
+  const lines = item.split('\n');
+
+  assert.equal(lines[0], '> First \\*line\\*');
+  assert.equal(lines[1], '> Second line');
+  assert.ok(item.includes('> — **Oscar Wilde**'));
+  assert.ok(item.includes('[Goodreads](<https://www.goodreads.com/author/show/3565>)'));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  encodeCursor,
+  decodeCursor,
+  pageCountsFromMetadata,
+  totalOf,
+  positionOfOffset,
+  offsetOfPosition
+} = require('../src/pagination');
+
+test('cursors round-trip their position', () => {
+  const position = { source: 'quotes.toscrape.com', page: 3, index: 7 };
+  assert.deepEqual(decodeCursor(encodeCursor(position)), position);
+});
+
+test('decodeCursor rejects tokens that are not ours', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{"s":"x","p":0,"i":0}').toString('base64url')), null);
+  assert.equal(decodeCursor(Buffer.from('{"s":"x","p":1,"i":-1}').toString('base64url')), null);
+  assert.equal(decodeCursor(Buffer.from('{"p":1,"i":0}').toString('base64url')), null);
+});
+
+test('pageCountsFromMetadata fills missing counts with the average', () => {
+  assert.deepEqual(pageCountsFromMetadata({ totalPages: 4, pageCounts: [10, 9], avgQuotesPerPage: 8 }), [10, 9, 8, 8]);
+  assert.deepEqual(pageCountsFromMetadata({ totalPages: 2, quotesPerPageCounts: [10, 4] }), [10, 4]);
+  assert.deepEqual(pageCountsFromMetadata(null), []);
+});
+
+test('offsets map through uneven page counts and back', () => {
+  const counts = [10, 10, 4];
+  assert.equal(totalOf(counts), 24);
+  assert.deepEqual(positionOfOffset(counts, 0), { page: 1, index: 0 });
+  assert.deepEqual(positionOfOffset(counts, 10), { page: 2, index: 0 });
+  assert.deepEqual(positionOfOffset(counts, 23), { page: 3, index: 3 });
+  assert.deepEqual(positionOfOffset(counts, 24), { page: 4, index: 0 });
+
+  for (let offset = 0; offset < 24; offset++) {
+    assert.equal(offsetOfPosition(counts, positionOfOffset(counts, offset)), offset);
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, shuffle, weightedSample, RandomSessionStore } = require('../src/random');
+
+const draw = (random, n) => Array.from({ length: n }, () => random());
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(draw(createRandom('demo'), 20), draw(createRandom('demo'), 20));
+  assert.notDeepEqual(draw(createRandom('demo'), 20), draw(createRandom('other'), 20));
+});
+
+test('createRandom yields floats in [0, 1)', () => {
+  for (const value of draw(createRandom(42), 1000)) {
+    assert.ok(value >= 0 && value < 1, `${value} out of range`);
+  }
+});
+
+test('shuffle is a seeded permutation that leaves its input alone', () => {
+  const items = Array.from({ length: 30 }, (_, i) => i);
+  const shuffled = shuffle(items, createRandom('seed'));
+
+  assert.deepEqual(items, Array.from({ length: 30 }, (_, i) => i));
+  assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+  assert.deepEqual(shuffle(items, createRandom('seed')), shuffled);
+});
+
+test('weightedSample picks distinct items and skips zero weights', () => {
+  const items = ['a', 'b', 'c', 'd', 'e'];
+  const picked = weightedSample(items, 3, item => item === 'c' ? 0 : 1, createRandom(1));
+
+  assert.equal(picked.length, 3);
+  assert.equal(new Set(picked).size, 3);
+  assert.ok(!picked.includes('c'));
+  assert.equal(weightedSample(items, 10, () => 1, createRandom(1)).length, 5);
+});
+
+test('weightedSample favours heavier items', () => {
+  const random = createRandom('weights');
+  let heavy = 0;
+  for (let i = 0; i < 500; i++) {
+    const [first] = weightedSample(['light', 'heavy'], 1, item => item === 'heavy' ? 9 : 1, random);
+    heavy += first === 'heavy' ? 1 : 0;
+  }
+  assert.ok(heavy > 400, `heavy picked ${heavy} of 500 times`);
+});
+
+test('RandomSessionStore keeps one session per id and source', () => {
+  const store = new RandomSessionStore({ maxSessions: 2 });
+  const session = store.get('grid', 'a');
+  session.served.add('quote');
+
+  assert.equal(store.get('grid', 'a'), session);
+  assert.notEqual(store.get('grid', 'b'), session);
+
+  store.get('other', 'a');
+  assert.equal(store.size, 2);
+});
+
+test('RandomSessionStore runs a session\'s requests one at a time', async () => {
+  const store = new RandomSessionStore();
+  const order = [];
+  const slow = store.withSession('s', 'a', async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push('first');
+  });
+  const fast = store.withSession('s', 'a', async () => {
+    order.push('second');
+  });
+
+  await Promise.all([slow, fast]);
+  assert.deepEqual(order, ['first', 'second']);
+});
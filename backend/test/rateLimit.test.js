@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucketLimiter, ConcurrencyLimiter } = require('../src/rateLimit');
+
+test('a bucket allows a burst, then refills over time', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = new TokenBucketLimiter({ perMinute: 60, burst: 3 });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.take('client').allowed, true);
+  }
+  const refused = limiter.take('client');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.remaining, 0);
+  assert.equal(refused.retryAfterSeconds, 1);
+  assert.equal(limiter.limited, 1);
+
+  now += 1000; // One token a second
+  assert.equal(limiter.take('client').allowed, true);
+  assert.equal(limiter.take('client').allowed, false);
+});
+
+test('clients have their own buckets and quotas', (t) => {
+  t.mock.method(Date, 'now', () => 0);
+  const limiter = new TokenBucketLimiter({ perMinute: 60, burst: 1 });
+
+  assert.equal(limiter.take('a').allowed, true);
+  assert.equal(limiter.take('a').allowed, false);
+  assert.equal(limiter.take('b').allowed, true);
+
+  const state = limiter.take('key', { perMinute: 600, burst: 5 });
+  assert.equal(state.limit, 5);
+  assert.equal(state.remaining, 4);
+});
+
+test('the least recently seen bucket is dropped when over maxBuckets', (t) => {
+  t.mock.method(Date, 'now', () => 0);
+  const limiter = new TokenBucketLimiter({ perMinute: 60, burst: 1, maxBuckets: 2 });
+
+  limiter.take('a');
+  limiter.take('b');
+  limiter.take('a');
+  limiter.take('c');
+
+  assert.equal(limiter.size, 2);
+  assert.equal(limiter.take('b').allowed, true); // Forgotten, so it starts full again
+});
+
+test('the concurrency limiter caps each client and the total', () => {
+  const limiter = new ConcurrencyLimiter({ perClient: 2, total: 3 });
+
+  const first = limiter.tryAcquire('a');
+  assert.ok(limiter.tryAcquire('a'));
+  assert.equal(limiter.tryAcquire('a'), null);
+  assert.ok(limiter.tryAcquire('b'));
+  assert.equal(limiter.tryAcquire('c'), null);
+  assert.equal(limiter.rejected, 2);
+
+  first();
+  first(); // Releasing twice frees one slot only
+  assert.ok(limiter.tryAcquire('c'));
+  assert.equal(limiter.tryAcquire('d'), null);
+});
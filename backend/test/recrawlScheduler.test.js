@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RecrawlScheduler, parseSchedule } = require('../src/recrawlScheduler');
+
+// Local times, so the expectations hold in any time zone
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('intervals run a fixed time after the last run', () => {
+  const from = at(2024, 1, 1, 12, 0);
+  assert.deepEqual(parseSchedule('30m').next(from), at(2024, 1, 1, 12, 30));
+  assert.deepEqual(parseSchedule('6h').next(from), at(2024, 1, 1, 18, 0));
+  assert.deepEqual(parseSchedule(' 1D ').next(from), at(2024, 1, 2, 12, 0));
+});
+
+test('cron expressions find the next matching minute', () => {
+  const from = at(2024, 1, 1, 12, 7); // A Monday
+  assert.deepEqual(parseSchedule('*/15 * * * *').next(from), at(2024, 1, 1, 12, 15));
+  assert.deepEqual(parseSchedule('0 */6 * * *').next(from), at(2024, 1, 1, 18, 0));
+  assert.deepEqual(parseSchedule('30 9 * * 1-5').next(from), at(2024, 1, 2, 9, 30));
+  assert.deepEqual(parseSchedule('0 0 1 3 *').next(from), at(2024, 3, 1, 0, 0));
+});
+
+test('aliases and Sunday as 7 are understood', () => {
+  const from = at(2024, 1, 1, 12, 7);
+  assert.deepEqual(parseSchedule('@hourly').next(from), at(2024, 1, 1, 13, 0));
+  assert.deepEqual(parseSchedule('@daily').next(from), at(2024, 1, 2, 0, 0));
+  assert.deepEqual(parseSchedule('0 0 * * 7').next(from), at(2024, 1, 7, 0, 0));
+});
+
+test('with both day fields restricted, either one matches', () => {
+  // The 15th, or any Friday: Friday the 5th comes first
+  assert.deepEqual(parseSchedule('0 0 15 * 5').next(at(2024, 1, 1)), at(2024, 1, 5, 0, 0));
+});
+
+test('invalid schedules are rejected', () => {
+  assert.throws(() => parseSchedule('0m'), /at least 1m/);
+  assert.throws(() => parseSchedule('* * *'), /5 fields/);
+  assert.throws(() => parseSchedule('60 * * * *'), /out of range/);
+  assert.throws(() => parseSchedule('0 0 31 2 *'), /never matches/);
+  assert.throws(() => parseSchedule('x * * * *'), /Invalid minute/);
+});
+
+test('runNow shares a run in progress and records its outcome', async () => {
+  let runs = 0;
+  let finish;
+  const scheduler = new RecrawlScheduler({
+    run: () => {
+      runs++;
+      return new Promise(resolve => { finish = resolve; });
+    }
+  });
+
+  const first = scheduler.runNow();
+  const second = scheduler.runNow();
+  assert.equal(first, second);
+  assert.equal(scheduler.status().running, true);
+
+  finish('done');
+  assert.equal(await first, 'done');
+  assert.equal(runs, 1);
+  assert.equal(scheduler.status().running, false);
+  assert.equal(scheduler.status().runs, 1);
+  assert.equal(scheduler.status().lastError, null);
+});
+
+test('a failed run is reported in the status', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const scheduler = new RecrawlScheduler({ run: async () => { throw new Error('site down'); } });
+
+  await assert.rejects(scheduler.runNow(), /site down/);
+  assert.equal(scheduler.status().lastError, 'site down');
+  assert.equal(scheduler.status().schedule, null);
+});
@@ -1,6 +1,33 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useQuote, ACTIONS } from '../context/QuoteContext';
+import { getApiUrl } from '../utils/api';
+
+// Number of tags offered as topics
+const TOPIC_LIMIT = 12;
 
 export default function ActionPanel({ onClose }) {
+  const { state, dispatch } = useQuote();
+  const [tags, setTags] = useState([]);
+  
+  // Load topics once; the list includes the site's top tags even before any quotes are fetched
+  useEffect(() => {
+    fetch(getApiUrl('/api/tags'))
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data && data.success) {
+          setTags(data.data.slice(0, TOPIC_LIMIT));
+        }
+      })
+      .catch(error => console.error('Error fetching tags:', error));
+  }, []);
+  
+  const toggleTag = (tagName) => {
+    dispatch({
+      type: ACTIONS.SET_ACTIVE_TAG,
+      payload: state.activeTag === tagName ? null : tagName
+    });
+  };
+  
   return (
     <div className="h-full bg-gray-50 p-4 sm:p-6 border-r border-gray-200 overflow-y-auto">
       {/* Mobile Header with Close Button */}
@@ -44,12 +71,36 @@ export default function ActionPanel({ onClose }) {
             <div><kbd className="px-2 py-1 bg-gray-200 rounded text-xs">Space</kbd> fetch quote on focused or selected cells</div>
           </div>
         </div>
+        
+        {tags.length > 0 && (
+          <div>
+            <h3 className="font-semibold text-gray-700 mb-2">Topics</h3>
+            <div className="flex flex-wrap gap-1">
+              {tags.map(tag => (
+                <button
+                  key={tag.name}
+                  onClick={() => toggleTag(tag.name)}
+                  className={`px-2 py-1 text-xs rounded-md ${
+                    state.activeTag === tag.name
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                  }`}
+                >
+                  {tag.name}{tag.count > 0 ? ` (${tag.count})` : ''}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {state.activeTag ? `Fetches fill cells with "${state.activeTag}" quotes` : 'Pick a topic to fetch quotes on that tag'}
+            </p>
+          </div>
+        )}
       </div>
       
       <div className="mt-8 p-4 bg-blue-50 rounded-lg">
         <h4 className="font-semibold text-blue-800 mb-2">Note</h4>
         <p className="text-sm text-blue-700">
-          If there are cells selected, focused cell will not fetch. Bulk fetch will be triggered on multiple selected cell. Each fetch is a random quote.
+          If there are cells selected, focused cell will not fetch. Bulk fetch will be triggered on multiple selected cell. Each fetch is a random quote, or a quote on the picked topic.
         </p>
       </div>
       
@@ -63,7 +114,7 @@ export default function ActionPanel({ onClose }) {
           <div>5. "Selected."</div>
         </div>
         <p className="text-xs text-yellow-600 mt-2">
-          Each stage takes 1.2-2.4 seconds
+          Stages are streamed live from the scraper; cached pages skip straight to selection
         </p>
       </div>
     </div>
@@ -1,9 +1,41 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useQuote } from '../context/QuoteContext';
+import { getApiUrl, getAuthorSlug } from '../utils/api';
+
+// Load the biography of the active quote's author from /api/authors/:slug
+function useAuthorProfile(authorName) {
+  const [profile, setProfile] = useState(null);
+  
+  useEffect(() => {
+    setProfile(null);
+    if (!authorName) {
+      return undefined;
+    }
+    
+    const controller = new AbortController();
+    fetch(getApiUrl(`/api/authors/${encodeURIComponent(getAuthorSlug(authorName))}`), { signal: controller.signal })
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data && data.success) {
+          setProfile(data.data);
+        }
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching author profile:', error);
+        }
+      });
+    
+    return () => controller.abort();
+  }, [authorName]);
+  
+  return profile;
+}
 
 export default function DetailsPanel({ onClose }) {
   const { state } = useQuote();
   const { activeQuote, focusedCell } = state;
+  const authorProfile = useAuthorProfile(activeQuote && !activeQuote.isLoading ? activeQuote.author : null);
   
   return (
     <div className="h-full bg-white border-l border-gray-200 p-4 sm:p-6 overflow-y-auto">
@@ -51,6 +83,24 @@ export default function DetailsPanel({ onClose }) {
             <h3 className="text-sm font-medium text-gray-800 mb-1">Author:</h3>
             <p className="text-sm text-gray-600">{activeQuote.author}</p>
           </div>
+          {authorProfile && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-800 mb-1">About the Author:</h3>
+              {(authorProfile.bornDate || authorProfile.bornLocation) && (
+                <p className="text-xs text-gray-500 mb-1">
+                  Born {[authorProfile.bornDate, authorProfile.bornLocation && `in ${authorProfile.bornLocation}`].filter(Boolean).join(' ')}
+                </p>
+              )}
+              {authorProfile.description && (
+                <p className="text-sm text-gray-600 leading-relaxed line-clamp-6">{authorProfile.description}</p>
+              )}
+              {authorProfile.quotes.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {authorProfile.quotes.length} known {authorProfile.quotes.length === 1 ? 'quote' : 'quotes'}
+                </p>
+              )}
+            </div>
+          )}
           <div>
             <h3 className="text-sm font-medium text-gray-800 mb-1">Tags:</h3>
             <div className="flex flex-wrap gap-1">
@@ -14,6 +14,7 @@ const initialState = {
   
   // Quote data
   quotes: {},
+  activeTag: null, // When set, fetches fill cells with quotes from this tag
   
   // UI state
   isLoading: false,
@@ -41,7 +42,8 @@ export const ACTIONS = {
   SET_SELECTION_START: 'SET_SELECTION_START',
   SET_BATCH_PROGRESS: 'SET_BATCH_PROGRESS',
   SET_PAGINATION_INFO: 'SET_PAGINATION_INFO',
-  SET_REMAINING_BATCHES: 'SET_REMAINING_BATCHES'
+  SET_REMAINING_BATCHES: 'SET_REMAINING_BATCHES',
+  SET_ACTIVE_TAG: 'SET_ACTIVE_TAG'
 };
 
 // Reducer function
@@ -153,6 +155,12 @@ function quoteReducer(state, action) {
         remainingBatches: action.payload,
       };
       
+    case ACTIONS.SET_ACTIVE_TAG:
+      return {
+        ...state,
+        activeTag: action.payload,
+      };
+      
     default:
       return state;
   }
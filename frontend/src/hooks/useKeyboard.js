@@ -8,44 +8,33 @@ import {
   getAllCellIds,
   generateMockQuote 
 } from '../utils/gridUtils';
+import { getApiUrl, getRandomQuoteParams, getRandomQuoteBody, ApiError, readApiResponse, isPartialResult, getErrorPlaceholder } from '../utils/api';
 
-// Configure the API URL - can be changed if backend port changes
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// Progress stages emitted by /api/quotes/random/stream, in the order they occur
+const PROGRESS_STAGES = ['start', 'login', 'cache', 'navigate', 'extract', 'select', 'validate', 'done'];
 
-// Helper function to handle API URL changes
-const getApiUrl = (endpoint) => {
-  return `${API_BASE_URL}${endpoint}`;
-};
+// How often to poll a background scrape job for new quotes
+const JOB_POLL_INTERVAL_MS = 1000;
 
 export function useKeyboard() {
   const { state, dispatch } = useQuote();
   
-  // Fetch quote from backend API with loading stages
+  // Fetch quote from backend API, showing the scraper's real progress events
   const fetchQuote = useCallback(async (cellId) => {
     // Set initial loading state
     dispatch({ type: ACTIONS.SET_LOADING_CELL, payload: cellId });
     
-    // Define loading stages with more descriptive messages
-    const loadingStages = [
-      "Starting fetch...",
-      "Logging in...",
-      `Browsing to page #${Math.floor(Math.random() * 10) + 1}...`,
-      "Selecting random quote...",
-      "Selected."
-    ];
-    
-    // Define stage durations (in ms) - vary them for more realistic feel
-    const stageDurations = [1000, 1500, 2000, 1200, 800];
-    
     // Create a function to update the cell with loading message
-    const updateLoadingMessage = (cellId, message, stageIndex) => {
+    const updateLoadingMessage = (cellId, message, stage) => {
       console.log(`Cell ${cellId}: ${message}`);
       
+      const stageIndex = Math.max(PROGRESS_STAGES.indexOf(stage), 0);
+      
       // Create a loading quote object with appropriate stage information
       const loadingQuote = { 
         text: message, 
-        author: stageIndex < 4 ? "Loading..." : "Ready", 
-        tags: ["loading", `stage-${stageIndex + 1}`],
+        author: stage === 'done' ? "Ready" : "Loading...", 
+        tags: ["loading", stage],
         sourceUrl: "",
         isLoading: true,
         loadingStage: stageIndex,
@@ -71,53 +60,35 @@ export function useKeyboard() {
     };
     
     try {
-      // Go through each loading stage with appropriate delays
-      for (let i = 0; i < loadingStages.length - 1; i++) {
-        // Update with current stage message
-        updateLoadingMessage(cellId, loadingStages[i], i);
+      updateLoadingMessage(cellId, "Starting fetch...", 'start');
+      
+      // Stream progress from the backend until the result (or an error) arrives
+      const quoteData = await new Promise((resolve, reject) => {
+        const events = new EventSource(getApiUrl(`/api/quotes/random/stream?${getRandomQuoteParams(1)}`));
         
-        // If this is the stage where we make the API call
-        if (i === 2) { // During "Browsing to page" stage
-          // Make the actual API request
-          const response = await fetch(getApiUrl('/api/quotes/random'), {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ count: 1 })
-          });
-          
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          
-          // Parse the response while still showing the loading stage
-          const data = await response.json();
+        events.addEventListener('progress', (event) => {
+          const progress = JSON.parse(event.data);
+          updateLoadingMessage(cellId, progress.message, progress.stage);
+        });
+        
+        events.addEventListener('result', (event) => {
+          events.close();
+          const data = JSON.parse(event.data);
           
-          // Check if we have valid data
           if (!data.success || !data.data || data.data.length === 0) {
-            throw new Error(data.error || 'Failed to fetch quote');
+            reject(new Error(data.error || 'Failed to fetch quote'));
+            return;
           }
-          
-          // Store the quote data for later use
-          window.tempQuoteData = data.data[0];
-        }
+          resolve(data.data[0]);
+        });
         
-        // Wait for the specified duration for this stage
-        await new Promise(resolve => setTimeout(resolve, stageDurations[i]));
-      }
-      
-      // Show the final "Selected" stage
-      updateLoadingMessage(cellId, loadingStages[loadingStages.length - 1], loadingStages.length - 1);
-      
-      // Short delay before showing the actual quote
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      // Get the quote data we stored earlier
-      const quoteData = window.tempQuoteData;
-      if (!quoteData) {
-        throw new Error('Quote data not available');
-      }
+        // Fired both for server-sent "error" events and for connection failures
+        events.addEventListener('error', (event) => {
+          events.close();
+          const data = event.data ? JSON.parse(event.data) : null;
+          reject(new ApiError((data && data.error) || 'Quote stream failed', data && data.code, data && data.details));
+        });
+      });
       
       // Create the final quote object with the cellId
       const quote = {
@@ -139,14 +110,11 @@ export function useKeyboard() {
         });
       }
       
-      // Clean up the temporary data
-      delete window.tempQuoteData;
-      
     } catch (error) {
       console.error('Error fetching quote:', error);
       // Fallback to mock quote if API fails
       const quote = {
-        ...generateMockQuote(),
+        ...generateMockQuote(cellId),
         cellId: cellId  // Add cellId to the quote for reference
       };
       
@@ -300,20 +268,17 @@ export function useKeyboard() {
             body: endpoint.includes('paginated') ? undefined : JSON.stringify({ count: cellIds.length })
           });
           
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          
           // Parse the response while still showing the loading stage
-          const data = await response.json();
+          const data = await readApiResponse(response);
           
           // Check if we have valid data
-          if (!data.success || !data.data || data.data.length === 0) {
-            throw new Error(data.error || 'Failed to fetch quotes');
+          if (!data.data || data.data.length === 0) {
+            throw new Error('Failed to fetch quotes');
           }
           
           // Store the quotes data for later use
           window.tempBulkQuotesData = data.data;
+          window.tempBulkQuotesPartial = isPartialResult(data);
         }
         
         // Wait for the specified duration for this stage
@@ -333,6 +298,10 @@ export function useKeyboard() {
       if (!quotesData) {
         throw new Error('Quotes data not available');
       }
+      // Cells left over after a partial result failed to load rather than ran out of quotes
+      const missingQuote = window.tempBulkQuotesPartial
+        ? getErrorPlaceholder({ code: 'PARTIAL_RESULT' })
+        : { text: "No quote available", author: "Try refreshing" };
       
       // Assign quotes to cells - make sure we have enough quotes
       if (quotesData.length < cellIds.length) {
@@ -360,8 +329,7 @@ export function useKeyboard() {
           console.warn(`No quote available for cell ${cellId} (index ${index})`);
           // Create a placeholder quote so the cell doesn't remain empty
           const placeholderQuote = {
-            text: "No quote available",
-            author: "Try refreshing",
+            ...missingQuote,
             tags: ["error"],
             sourceUrl: "",
             cellId: cellId,
@@ -381,9 +349,30 @@ export function useKeyboard() {
       
       // Clean up the temporary data
       delete window.tempBulkQuotesData;
+      delete window.tempBulkQuotesPartial;
       
     } catch (error) {
       console.error('Error fetching bulk quotes:', error);
+      if (error.code === 'RATE_LIMITED' || error.code === 'UNAUTHORIZED') {
+        // Fetching each cell separately would only be refused as well
+        cellIds.forEach(cellId => {
+          const errorQuote = {
+            ...getErrorPlaceholder(error),
+            tags: ["error"],
+            sourceUrl: "",
+            cellId: cellId,
+            isError: true,
+            isLoading: false
+          };
+          
+          dispatch({ 
+            type: ACTIONS.SET_QUOTE, 
+            payload: { cellId, quote: errorQuote } 
+          });
+          dispatch({ type: ACTIONS.CLEAR_LOADING_CELL, payload: cellId });
+        });
+        return;
+      }
       // Fallback to individual fetch for each cell
       cellIds.forEach(cellId => {
         fetchQuote(cellId);
@@ -416,17 +405,11 @@ export function useKeyboard() {
             }
           });
           
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          
-          const data = await response.json();
-          
-          if (!data.success || !data.data) {
-            throw new Error(data.error || 'Failed to fetch quotes');
-          }
-          
+          const data = await readApiResponse(response);
           const quotesData = data.data;
+          const missingQuote = isPartialResult(data)
+            ? getErrorPlaceholder(data)
+            : { text: "No quote available", author: "Try refreshing" };
       console.log(`Received ${quotesData.length} quotes for ${cellIds.length} cells`);
           
           // Assign quotes to cells, ensuring each cell gets a quote
@@ -450,8 +433,7 @@ export function useKeyboard() {
               console.warn(`No quote available for cell ${cellId} (index ${index})`);
               // Create a placeholder quote
               const placeholderQuote = {
-                text: "No quote available",
-                author: "Try refreshing",
+                ...missingQuote,
                 tags: ["error"],
                 sourceUrl: "",
                 cellId: cellId,
@@ -476,8 +458,7 @@ export function useKeyboard() {
           // Create placeholder quotes for all cells in the batch
       cellIds.forEach(cellId => {
             const errorQuote = {
-              text: "Error loading quote",
-              author: "Please try again",
+              ...getErrorPlaceholder(error),
               tags: ["error"],
               sourceUrl: "",
               cellId: cellId,
@@ -583,6 +564,81 @@ export function useKeyboard() {
     console.log('Virtual scrolling setup complete');
   }, [loadBatchWithPagination]);
   
+  // Fill cells from a background bulk job (POST /api/jobs), polling it until
+  // it finishes and placing each batch of quotes as it arrives
+  const loadCellsWithJob = useCallback(async (cellIds, offset) => {
+    let filled = 0;
+    let jobId = null;
+    
+    const fillCell = (cellId, quote) => {
+      dispatch({ 
+        type: ACTIONS.SET_QUOTE, 
+        payload: { cellId, quote: { ...quote, cellId: cellId, isLoading: false } } 
+      });
+      dispatch({ type: ACTIONS.CLEAR_LOADING_CELL, payload: cellId });
+    };
+    const fillRemaining = (placeholder, flag) => {
+      cellIds.slice(filled).forEach(cellId => {
+        fillCell(cellId, { ...placeholder, tags: ["error"], sourceUrl: "", [flag]: true });
+      });
+    };
+    
+    try {
+      const response = await fetch(getApiUrl('/api/jobs'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ type: 'bulk', count: cellIds.length, offset })
+      });
+      const { job } = await readApiResponse(response);
+      jobId = job.id;
+      window.activeQuoteJobId = jobId;
+      console.log(`Started bulk job ${jobId} for ${cellIds.length} cells`);
+      
+      let data;
+      do {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+        data = await readApiResponse(await fetch(getApiUrl(`/api/jobs/${jobId}?offset=${filled}`)));
+        data.data.slice(0, cellIds.length - filled).forEach(quote => {
+          fillCell(cellIds[filled], quote);
+          filled++;
+        });
+      } while (data.job.status === 'queued' || data.job.status === 'running');
+      
+      console.log(`Bulk job ${jobId} ${data.job.status} with ${data.job.progress.quotes} quotes`);
+      if (data.job.status === 'cancelled') {
+        // Cells the cancelled job never reached go back to empty
+        cellIds.slice(filled).forEach(cellId => {
+          dispatch({ type: ACTIONS.CLEAR_LOADING_CELL, payload: cellId });
+        });
+        return;
+      }
+      
+      // Cells the job couldn't fill
+      if (data.job.status === 'failed') {
+        fillRemaining(getErrorPlaceholder(new ApiError(data.job.error.message, data.job.error.code)), 'isError');
+      } else {
+        fillRemaining(isPartialResult(data)
+          ? getErrorPlaceholder(data)
+          : { text: "No quote available", author: "Try refreshing" }, 'isPlaceholder');
+      }
+    } catch (error) {
+      if (!jobId && error.code === 'NOT_FOUND') {
+        // Jobs are turned off on this backend (always on Lambda): page through instead
+        console.log('Background jobs unavailable, loading remaining cells with pagination');
+        await loadBatchWithPagination(cellIds, offset);
+        return;
+      }
+      console.error('Error loading quotes with job:', error);
+      fillRemaining(getErrorPlaceholder(error), 'isError');
+    } finally {
+      if (window.activeQuoteJobId === jobId) {
+        delete window.activeQuoteJobId;
+      }
+    }
+  }, [dispatch, loadBatchWithPagination]);
+  
   // Function to handle very large selections with pagination and scroll-based loading
   const fetchLargeBulkQuotes = useCallback(async (cellIds) => {
     console.log(`Fetching quotes for ${cellIds.length} cells with pagination`);
@@ -623,22 +679,8 @@ export function useKeyboard() {
       console.log(`Starting smart loading of remaining ${remainingCells.length} cells`);
       
       if (remainingCells.length <= 500) {
-        // Small numbers: Load immediately with delays
-        const remainingBatches = [];
-        for (let i = 0; i < remainingCells.length; i += 100) {
-          const batch = remainingCells.slice(i, i + 100);
-          remainingBatches.push(batch);
-        }
-        
-        // Load each batch with a delay
-        remainingBatches.forEach(async (batch, index) => {
-          const delay = (index + 1) * 1000; // 1s, 2s, 3s, etc.
-          setTimeout(async () => {
-            const offset = initialBatchSize + (index * 100);
-            console.log(`Loading batch ${index + 1} with offset ${offset}`);
-            await loadBatchWithPagination(batch, offset);
-          }, delay);
-        });
+        // Small numbers: Collect the rest in a background job
+        loadCellsWithJob(remainingCells, initialBatchSize);
       } else {
         // Large numbers: Use virtual scrolling approach
         console.log(`Large selection detected (${remainingCells.length} cells). Using virtual scrolling approach.`);
@@ -660,7 +702,70 @@ export function useKeyboard() {
       dispatch({ type: ACTIONS.SET_LOADING, payload: false });
     
     console.log(`All ${cellIds.length} cells will be loaded with immediate pagination`);
-  }, [dispatch, fetchBulkQuotes, state.remainingBatches]);
+  }, [dispatch, loadBatchWithPagination, loadCellsWithJob, setupVirtualScrolling]);
+  
+  // Fill cells with random quotes from a tag; the backend filters the whole
+  // corpus, so cells only stay empty when the tag has run out of quotes
+  const fetchTagQuotes = useCallback(async (cellIds, tag) => {
+    console.log(`Fetching "${tag}" quotes for ${cellIds.length} cells`);
+    cellIds.forEach(cellId => dispatch({ type: ACTIONS.SET_LOADING_CELL, payload: cellId }));
+    
+    // Skip quotes that are already on the grid
+    const shownIds = Object.values(state.quotes)
+      .map(quote => quote && quote.id)
+      .filter(Boolean);
+    let tagQuotes = [];
+    // Cells without a quote: the tag ran out unless the request failed (in whole or in part)
+    let missingQuote = { text: `No more "${tag}" quotes`, author: "Try another tag" };
+    
+    try {
+      const response = await fetch(getApiUrl('/api/quotes/random'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(getRandomQuoteBody(cellIds.length, { tags: [tag], excludeIds: shownIds })),
+      });
+      
+      const data = await readApiResponse(response);
+      tagQuotes = data.data;
+      if (isPartialResult(data)) {
+        missingQuote = getErrorPlaceholder(data);
+      }
+    } catch (error) {
+      console.error('Error fetching tag quotes:', error);
+      missingQuote = getErrorPlaceholder(error);
+    }
+    
+    cellIds.forEach((cellId, index) => {
+      const quote = index < tagQuotes.length ? {
+        ...tagQuotes[index],
+        cellId: cellId,
+        isLoading: false
+      } : {
+        ...missingQuote,
+        tags: ["error"],
+        sourceUrl: "",
+        cellId: cellId,
+        isPlaceholder: true,
+        isLoading: false
+      };
+      
+      dispatch({ 
+        type: ACTIONS.SET_QUOTE, 
+        payload: { cellId, quote } 
+      });
+      dispatch({ type: ACTIONS.CLEAR_LOADING_CELL, payload: cellId });
+      
+      // If this is the focused cell, update the active quote for details panel
+      if (state.focusedCell === cellId) {
+        dispatch({
+          type: ACTIONS.SET_ACTIVE_QUOTE,
+          payload: quote
+        });
+      }
+    });
+  }, [dispatch, state.quotes, state.focusedCell]);
   
   // Handle space key for fetching quotes
   const handleFetchQuote = useCallback(() => {
@@ -677,6 +782,9 @@ export function useKeyboard() {
       // Handle different selection sizes
       if (cellsToFetch.length === 0) {
         console.log('No empty cells to fetch quotes for');
+      } else if (state.activeTag) {
+        // A topic is picked - fill the cells from its tag pages
+        fetchTagQuotes(cellsToFetch, state.activeTag);
       } else if (cellsToFetch.length === 1) {
         // Single cell - use random endpoint
         fetchQuote(cellsToFetch[0]);
@@ -689,9 +797,13 @@ export function useKeyboard() {
       }
     } else if (state.focusedCell && !state.quotes[state.focusedCell] && !state.loadingCells.has(state.focusedCell)) {
       // Fetch quote for focused cell if empty
-      fetchQuote(state.focusedCell);
+      if (state.activeTag) {
+        fetchTagQuotes([state.focusedCell], state.activeTag);
+      } else {
+        fetchQuote(state.focusedCell);
+      }
     }
-  }, [state.selectedCells, state.focusedCell, state.quotes, state.loadingCells, fetchQuote, fetchBulkQuotes, fetchLargeBulkQuotes]);
+  }, [state.selectedCells, state.focusedCell, state.quotes, state.loadingCells, state.activeTag, fetchQuote, fetchBulkQuotes, fetchLargeBulkQuotes, fetchTagQuotes]);
   
   // Handle escape key to clear selection
   const handleClearSelection = useCallback(() => {
@@ -700,6 +812,10 @@ export function useKeyboard() {
     
     // Also clear any ongoing batch processes
     dispatch({ type: ACTIONS.SET_BATCH_PROGRESS, payload: null });
+    if (window.activeQuoteJobId) {
+      fetch(getApiUrl(`/api/jobs/${window.activeQuoteJobId}`), { method: 'DELETE' })
+        .catch(error => console.error('Error cancelling job:', error));
+    }
     
     // Make sure we're not in a loading state
     dispatch({ type: ACTIONS.SET_LOADING, payload: false });
@@ -0,0 +1,96 @@
+// Backend API helpers
+
+// Configure the API URL - can be changed if backend port changes
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Helper function to handle API URL changes
+export function getApiUrl(endpoint) {
+  return `${API_BASE_URL}${endpoint}`;
+}
+
+// One random-quote session per page load, so the grid doesn't repeat a quote
+// until every quote has been shown
+export const RANDOM_SESSION_ID = `grid-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// A ?seed=... in the page URL makes the grid reproducible
+export const RANDOM_SEED = new URLSearchParams(window.location.search).get('seed');
+
+// Query string for /api/quotes/random/stream
+export function getRandomQuoteParams(count = 1) {
+  const params = new URLSearchParams({ count: String(count), sessionId: RANDOM_SESSION_ID });
+  if (RANDOM_SEED) {
+    params.set('seed', RANDOM_SEED);
+  }
+  return params.toString();
+}
+
+// Request body for POST /api/quotes/random, in the grid's session, with
+// optional constraints such as { tags, excludeIds }
+export function getRandomQuoteBody(count = 1, constraints = {}) {
+  return {
+    count,
+    sessionId: RANDOM_SESSION_ID,
+    ...(RANDOM_SEED ? { seed: RANDOM_SEED } : {}),
+    ...constraints
+  };
+}
+
+// Failed API request, carrying the backend's error code (VALIDATION_ERROR,
+// RATE_LIMITED, SCRAPER_UNAVAILABLE, UPSTREAM_TIMEOUT, ...) and details
+export class ApiError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// A successful response that is missing quotes because some pages failed
+export function isPartialResult(data) {
+  return !!data && data.success && data.code === 'PARTIAL_RESULT';
+}
+
+// Parse a fetch response, throwing an ApiError for failures. Partial results
+// are returned (they still hold quotes) with a warning in the console.
+export async function readApiResponse(response) {
+  const data = await response.json().catch(() => null);
+  
+  if (!response.ok || !data || !data.success) {
+    throw new ApiError((data && data.error) || `HTTP error! status: ${response.status}`, data && data.code, data && data.details);
+  }
+  
+  if (isPartialResult(data)) {
+    console.warn(`Partial result: ${data.warning}`, data.details);
+  }
+  return data;
+}
+
+// Placeholder text for a cell whose quote couldn't be loaded
+export function getErrorPlaceholder(error) {
+  switch (error && error.code) {
+    case 'PARTIAL_RESULT':
+      return { text: "Quote couldn't be loaded", author: "Some pages failed, try again" };
+    case 'SCRAPER_UNAVAILABLE':
+      return { text: "Scraper unavailable", author: "It may still be starting, try again" };
+    case 'UPSTREAM_TIMEOUT':
+      return { text: "The quote site timed out", author: "Please try again" };
+    case 'UPSTREAM_ERROR':
+      return { text: "The quote site returned an error", author: "Please try again" };
+    case 'RATE_LIMITED':
+      return { text: "Too many requests", author: "Wait a moment and try again" };
+    case 'UNAUTHORIZED':
+      return { text: "This server requires an API key", author: "Access denied" };
+    default:
+      return { text: "Error loading quote", author: "Please try again" };
+  }
+}
+
+// Author page slug derived from a name, matching the backend ("Albert Einstein" -> "Albert-Einstein")
+export function getAuthorSlug(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
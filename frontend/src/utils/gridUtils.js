@@ -101,8 +101,9 @@ export function truncateQuote(quote, maxWords = 4) {
   return words.slice(0, maxWords).join(' ') + '...';
 }
 
-// Mock quote data for testing (will be replaced with real API calls)
-export function generateMockQuote() {
+// Mock quote data for testing (will be replaced with real API calls).
+// The same key (e.g. a cell id) always gets the same mock quote.
+export function generateMockQuote(key = '') {
   const mockQuotes = [
     {
       text: "There are only two ways to live your life. One is as though nothing is a miracle. The other is as though everything is a miracle.",
@@ -148,5 +149,9 @@ export function generateMockQuote() {
     }
   ];
   
-  return mockQuotes[Math.floor(Math.random() * mockQuotes.length)];
+  let hash = 0;
+  for (const char of String(key)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return mockQuotes[hash % mockQuotes.length];
 }